@@ -0,0 +1,87 @@
+// lib/citations.js
+// Agent citation markers (【4:0†returns-policy.pdf】) in reply text. In
+// footnotes mode each distinct marker becomes a "[^n]" reference (numbered by
+// first appearance) and its annotation a { n, type, title, url?, fileId? }
+// entry in the message's `citations`; strip mode drops them. The streaming
+// filter numbers markers the same way, so deltas and the final citations event
+// agree (see CITATION_MODE in server.js).
+
+export const CITATION_MARKER = /\u3010[\s\S]*?\u3011/g;
+// Longest marker the streaming filter waits to see closed; Foundry's are a file name or host
+export const CITATION_MARKER_MAX = 200;
+
+export function stripAgentCitations(text = "") {
+  return text.replace(CITATION_MARKER, "").replace(/[ \t]{2,}/g, " ").trim();
+}
+
+function createCitationNumbering() {
+  const seen = new Map();
+  return (marker) => {
+    if (!seen.has(marker)) seen.set(marker, seen.size + 1);
+    return seen.get(marker);
+  };
+}
+
+// Foundry markers look like 【4:0†returns-policy.pdf】; the part after † is the best label we have
+function citationFrom(annotation, marker) {
+  const label = /\u2020([^\u3011]+)\u3011/.exec(marker)?.[1]?.trim();
+  if (annotation?.type === "url_citation" && annotation.url_citation?.url) {
+    const { url, title } = annotation.url_citation;
+    return { type: "url", title: title || label || url, url };
+  }
+  if (annotation?.type === "file_citation") {
+    return { type: "file", title: label || "Source document", fileId: annotation.file_citation?.file_id || null };
+  }
+  return { type: "source", title: label || "Source" };
+}
+
+// → { text (markers replaced or stripped), citations }
+export function projectCitations(text = "", annotations = [], mode = "footnotes") {
+  if (mode === "strip") return { text: stripAgentCitations(text), citations: [] };
+  const byMarker = new Map((annotations || []).filter(a => a?.text).map(a => [a.text, a]));
+  const number = createCitationNumbering();
+  const citations = [];
+  const out = text.replace(CITATION_MARKER, (marker) => {
+    const n = number(marker);
+    if (n > citations.length) citations.push({ n, ...citationFrom(byMarker.get(marker), marker) });
+    return `[^${n}]`;
+  });
+  return { text: out.replace(/[ \t]{2,}/g, " ").trim(), citations };
+}
+
+// Streaming counterpart of projectCitations: holds back text from an unclosed
+// 【 while it could still be a marker, so markers split across deltas never
+// reach the client half-formed. A 【 still open after CITATION_MARKER_MAX
+// characters isn't one and goes out as it is, as does one still open when the
+// message ends — projectCitations leaves both alone too. reset() starts
+// numbering afresh for the next message.
+export function createCitationFilter({ mode = "footnotes" } = {}) {
+  let pending = "";
+  let number = createCitationNumbering();
+  const replace = (marker) => (mode === "strip" ? "" : `[^${number(marker)}]`);
+  return {
+    reset() { number = createCitationNumbering(); },
+    push(chunk) {
+      let out = "";
+      let text = pending + chunk;
+      for (;;) {
+        text = text.replace(CITATION_MARKER, replace);
+        const open = text.indexOf("\u3010");
+        if (open === -1 || text.length - open <= CITATION_MARKER_MAX) {
+          pending = open === -1 ? "" : text.slice(open);
+          return out + (open === -1 ? text : text.slice(0, open));
+        }
+        // Too long to be a marker: let this 【 go and look again from the next one
+        const next = text.indexOf("\u3010", open + 1);
+        const upto = next === -1 ? text.length : next;
+        out += text.slice(0, upto);
+        text = text.slice(upto);
+      }
+    },
+    flush() {
+      const out = pending;
+      pending = "";
+      return out;
+    }
+  };
+}
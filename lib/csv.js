@@ -0,0 +1,19 @@
+// lib/csv.js
+// CSV for the admin exports (feedback, guardrail events). Cells hold customer
+// and agent text, and spreadsheets run a cell starting =, +, -, @ (or a tab or
+// CR ahead of one) as a formula, so those get a leading ' to stay text.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Numbers go out as they are: -3 is a value, not a formula
+export function csvCell(v) {
+  let s = v === undefined || v === null ? "" : String(v);
+  if (typeof v !== "number" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Header row plus one row per record, CRLF line ends
+export function toCsv(cols, records) {
+  const rows = [cols.join(","), ...records.map(r => cols.map(c => csvCell(r[c])).join(","))];
+  return rows.join("\r\n") + "\r\n";
+}
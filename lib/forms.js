@@ -0,0 +1,153 @@
+// lib/forms.js
+// Mini-form definitions (public/forms/*.json): checking and loading them, the
+// per-locale view, and validating and normalising a submission. Message text
+// comes from the caller, so this knows nothing about the locale catalogues.
+
+import fs from "fs";
+import path from "path";
+
+// Named normalisers a definition can ask for with "format"; each one's error
+// message is "validation.<name>" in the locale catalogues
+export const FORM_FORMATS = {
+  email: {
+    test: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+    normalise: (v) => v.toLowerCase()
+  },
+  postcode: {
+    test: (v) => /^(?:GIR0AA|[A-PR-UWYZ][A-HK-Y]?\d[A-Z\d]?\d[ABD-HJLNP-UW-Z]{2})$/i.test(v.replace(/\s+/g, "")),
+    normalise: (v) => { const s = v.toUpperCase().replace(/\s+/g, ""); return s.slice(0, -3) + " " + s.slice(-3); }
+  },
+  vrn: {
+    test: (v) => /^(?=.*\d)(?=.*[A-Z])[A-Z\d]{2,7}$/i.test(v.replace(/\s+/g, "")),
+    normalise: (v) => v.toUpperCase().replace(/\s+/g, " ").trim()
+  },
+  agreementNumber: {
+    test: (v) => /^HFD-C2W-\d{7}$/i.test(v),
+    normalise: (v) => v.toUpperCase()
+  },
+  orderNumber: {
+    test: (v) => /^[A-Z0-9][A-Z0-9-]{3,29}$/i.test(v),
+    normalise: (v) => v.toUpperCase()
+  },
+  phone: {
+    test: (v) => /^(?:\+44|0044|0)\d{9,10}$/.test(v.replace(/[\s()-]+/g, "")),
+    normalise: (v) => v.replace(/[\s()-]+/g, "")
+  },
+  mileage: {
+    test: (v) => /^\d{1,7}$/.test(v.replace(/[,\s]/g, "")),
+    normalise: (v) => String(parseInt(v.replace(/[,\s]/g, ""), 10))
+  }
+};
+
+const FIELD_TYPES = new Set(["text", "email", "tel", "number", "select", "textarea", "checkbox"]);
+
+// "{{a.b}}" → value at that path in data ("" when missing)
+export const fillTemplate = (tpl, data) =>
+  String(tpl).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => key.split(".").reduce((o, k) => o?.[k], data) ?? "");
+
+const optionValue = (o) => (typeof o === "object" && o !== null ? String(o.value) : String(o));
+
+// What a definition's "translations": { "<locale>": { ... } } may replace. Field
+// entries take label, placeholder, group and options ({ value: label }); message
+// stays as written, since that's what the agent reads.
+const FORM_TRANSLATABLE = new Set(["title", "intro", "submitLabel", "cancelLabel", "hint", "echo", "reply", "fields"]);
+
+// The definition as seen in one locale (unchanged when it has no translation)
+export function localiseForm(def, locale) {
+  const tr = def.translations?.[locale];
+  if (!tr) return def;
+  const { fields: fieldText = {}, reply, ...text } = tr;
+  const fields = def.fields.map((f) => {
+    const { options, ...labels } = fieldText[f.name] || {};
+    const localised = { ...f, ...labels };
+    if (options && f.options) {
+      localised.options = f.options.map((o) => {
+        const value = optionValue(o);
+        return Object.hasOwn(options, value) ? { value, label: options[value] } : o;
+      });
+    }
+    return localised;
+  });
+  return { ...def, ...text, fields, ...(reply ? { reply: { ...def.reply, ...reply } } : {}) };
+}
+
+// Throws on the first problem so a bad definition fails loudly at startup;
+// hasLocale(code) says whether translations for a locale can be shown
+export function checkFormDefinition(def, file, { hasLocale = () => true } = {}) {
+  const fail = (msg) => { throw new Error(`${file}: ${msg}`); };
+  if (!def || typeof def !== "object") fail("not a JSON object");
+  if (!/^[a-z0-9-]+$/.test(def.name || "")) fail("name must be lower-case letters, digits and dashes");
+  if (!Array.isArray(def.fields) || !def.fields.length) fail("fields must be a non-empty array");
+  for (const f of def.fields) {
+    if (!/^[A-Za-z][\w.]*$/.test(f?.name || "")) fail(`bad field name "${f?.name}"`);
+    if (f.type && !FIELD_TYPES.has(f.type)) fail(`field "${f.name}" has unknown type "${f.type}"`);
+    if (f.format && !FORM_FORMATS[f.format]) fail(`field "${f.name}" has unknown format "${f.format}"`);
+    if (f.type === "select" && !Array.isArray(f.options)) fail(`select "${f.name}" needs options`);
+  }
+  if (!def.message === !def.tool) fail("needs exactly one of message or tool");
+  if (def.tool && !def.reply?.ok) fail("tool forms need reply.ok");
+  for (const [locale, tr] of Object.entries(def.translations || {})) {
+    if (!hasLocale(locale)) fail(`translations for "${locale}", which has no catalogue in public/locales`);
+    const extra = Object.keys(tr || {}).filter((k) => !FORM_TRANSLATABLE.has(k));
+    if (extra.length) fail(`translations.${locale} can't change ${extra.join(", ")}`);
+    for (const name of Object.keys(tr.fields || {})) {
+      if (!def.fields.some((f) => f.name === name)) fail(`translations.${locale} names unknown field "${name}"`);
+    }
+  }
+}
+
+// Every *.json in dir, checked → Map name → definition (a missing dir is no forms)
+export function loadFormDefinitions(dir, options) {
+  const forms = new Map();
+  let files = [];
+  try { files = fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort(); }
+  catch (e) { if (e.code !== "ENOENT") throw e; }
+  for (const file of files) {
+    const def = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    checkFormDefinition(def, file, options);
+    if (forms.has(def.name)) throw new Error(`${file}: duplicate form "${def.name}"`);
+    forms.set(def.name, def);
+  }
+  return forms;
+}
+
+// What the browser needs to render a form; message/tool/reply stay server-side
+export const publicFormDef = ({ name, aliases = [], title, intro, fields, submitLabel, cancelLabel, hint, echo }) =>
+  ({ name, aliases, title, intro, fields, submitLabel, cancelLabel, hint, echo: echo || null });
+
+const toBool = (v) => v === true || /^(true|on|1|yes)$/i.test(String(v ?? ""));
+
+// → { data (nested on dotted names), errors: { fieldName: message } }, the
+// messages from message(key, vars) (pass the localised definition so labels match)
+export function validateForm(def, input, message = (key) => key) {
+  input ??= {};
+  const data = {};
+  const errors = {};
+  for (const field of def.fields) {
+    const { name, label = name } = field;
+    let value;
+    if (field.type === "checkbox") {
+      value = toBool(input[name]);
+      if (field.required && !value) errors[name] = message("validation.required", { label });
+    } else {
+      value = String(input[name] ?? "").trim();
+      const fmt = FORM_FORMATS[field.format];
+      if (!value) {
+        if (field.required) errors[name] = message("validation.required", { label });
+      } else if (field.maxLength && value.length > field.maxLength) {
+        errors[name] = message("validation.tooLong", { label, max: field.maxLength });
+      } else if (field.options && !field.options.map(optionValue).includes(value)) {
+        errors[name] = message("validation.choose", { label: String(label).toLowerCase() });
+      } else if (fmt && !fmt.test(value)) {
+        errors[name] = message(`validation.${field.format}`, {});
+      } else if (fmt) {
+        value = fmt.normalise(value);
+      }
+    }
+    const keys = name.split(".");
+    let node = data;
+    for (const k of keys.slice(0, -1)) node = node[k] ??= {};
+    node[keys.at(-1)] = value;
+  }
+  return { data, errors };
+}
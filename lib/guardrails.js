@@ -0,0 +1,361 @@
+// lib/guardrails.js
+// Moderation rules over customer messages (input) and agent replies (output):
+// the built-in rules and the types they're written in, loading a rules file
+// over them, running one direction's rules over a message, and the streaming
+// guard that lets a reply out only once the rules have seen enough of it.
+
+import fs from "fs";
+import { maskPII } from "./pii.js";
+
+export const GUARDRAIL_ACTIONS = ["block", "rewrite", "flag", "off"];
+const GUARDRAIL_ID = /^[a-zA-Z][a-zA-Z0-9-]{0,39}$/;
+export const GUARDRAIL_HOLD_MAX = 400; // most streamed reply text a rule may hold back
+const SENTENCE = /(?:[^.!?\n]|[.!?](?=\S))+[.!?]*[ \t]*/g; // "£4.99" doesn't end one
+const PRICE = /[£€$]\s?\d|\b\d+(?:\.\d{1,2})?\s?(?:pounds?|quid|gbp)\b/i;
+
+// Where the last finished sentence (or line) in text ends
+export const sentenceEnd = (text) => {
+  const end = [...text.matchAll(/[.!?][ \t]|\n/g)].at(-1);
+  return end ? end.index + end[0].length : 0;
+};
+
+export const GUARDRAIL_DEFAULTS = {
+  input: [
+    { id: "length", type: "length", action: "block", max: 2000, message: "server.messageTooLong" },
+    {
+      id: "injection",
+      type: "patterns",
+      action: "block",
+      patterns: [
+        "\\b(?:ignore|disregard|forget|override)\\b.{0,40}\\b(?:previous|prior|above|earlier|all|your|the|any)\\b.{0,20}\\b(?:instructions?|prompts?|rules|guidelines)\\b",
+        "\\b(?:reveal|show|print|repeat|output|display|tell me)\\b.{0,40}\\b(?:system|hidden|initial|original|secret)\\s+(?:prompt|instructions?|message)\\b",
+        "\\b(?:developer|god|jailbreak|DAN)\\s+mode\\b",
+        "\\b(?:act|behave|respond)\\s+as\\b.{0,40}\\b(?:without|no)\\s+(?:restrictions|rules|filters|limits)\\b",
+        "<\\/?(?:system|assistant|im_start|im_end)\\b|\\[\\/?(?:INST|SYS)\\]|^\\s*(?:system|assistant)\\s*:"
+      ]
+    },
+    {
+      id: "abuse",
+      type: "patterns",
+      action: "block",
+      patterns: [
+        "\\b(?:i(?:'|’)?ll|i will|i'm going to|gonna)\\s+(?:kill|hurt|stab|shoot|batter|smash)\\s+(?:you|u|your|them|the staff)\\b",
+        "\\bkill\\s+your\\s*self\\b|\\bkys\\b"
+      ]
+    },
+    {
+      id: "profanity",
+      type: "words",
+      action: "rewrite",
+      words: ["fuck", "fucks", "fucked", "fucking", "fuckin", "motherfucker", "shit", "shite", "shitty", "bullshit", "bastard", "bastards", "bollocks", "wanker", "wankers", "twat", "dickhead", "arsehole", "asshole", "cunt", "cunts", "piss off"]
+    },
+    {
+      id: "topics",
+      type: "patterns",
+      action: "block",
+      patterns: [
+        "\\b(?:make|build|making|building)\\b.{0,30}\\b(?:bomb|explosive|pipe bomb|gun|firearm|napalm|thermite)s?\\b",
+        "\\b(?:hotwire|steal|nick|break into)\\b.{0,20}\\b(?:car|van|motorbike|bike|catalytic converter)s?\\b",
+        "\\b(?:delete|remove|disable|defeat|bypass)\\b.{0,30}\\b(?:dpf|egr|adblue|emissions|speed limiter|tachograph)\\b",
+        "\\b(?:who|which party) (?:should i|to) vote\\b"
+      ]
+    }
+  ],
+  output: [
+    {
+      id: "competitorPricing",
+      type: "competitorPricing",
+      action: "rewrite",
+      competitors: ["Euro Car Parts", "Kwik Fit", "Evans Cycles", "Decathlon", "Wiggle", "Chain Reaction Cycles", "Sigma Sports", "Machine Mart", "ATS Euromaster", "National Tyres", "Protyre", "Costco", "Amazon", "eBay"]
+    },
+    { id: "systemPrompt", type: "systemPrompt", action: "block", minWords: 8, phrases: [] },
+    {
+      id: "promptDisclosure",
+      type: "patterns",
+      action: "flag",
+      patterns: [
+        "\\bmy (?:system prompt|system message|hidden instructions|instructions (?:say|state|tell me))\\b",
+        "\\bI (?:was|am|have been|'ve been) (?:instructed|told|programmed) (?:to|not to)\\b"
+      ]
+    }
+  ]
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const phrasesPattern = (list) => list.map(w => escapeRegExp(String(w).trim()).replace(/\s+/g, "\\s+")).filter(Boolean).join("|");
+const matchRanges = (text, re) => [...text.matchAll(re)].filter(m => m[0]).map(m => ({ index: m.index, length: m[0].length }));
+
+const wordsOf = (s) => [...s.matchAll(/[\p{L}\p{N}'’]+/gu)];
+
+// Runs of n or more words in text that also appear, in order, in one of sources
+export function sharedRuns(text, sources, n) {
+  const known = new Set();
+  for (const src of sources) {
+    const w = wordsOf(src).map(m => m[0].toLowerCase());
+    for (let i = 0; i + n <= w.length; i++) known.add(w.slice(i, i + n).join(" "));
+  }
+  if (!known.size) return [];
+  const w = wordsOf(text);
+  const runs = [];
+  for (let i = 0; i + n <= w.length; i++) {
+    if (!known.has(w.slice(i, i + n).map(m => m[0].toLowerCase()).join(" "))) continue;
+    const start = w[i].index;
+    const end = w[i + n - 1].index + w[i + n - 1][0].length;
+    const last = runs.at(-1);
+    if (last && start <= last.index + last.length) last.length = end - last.index;
+    else runs.push({ index: start, length: end - start });
+  }
+  return runs;
+}
+
+// Every run of 1 to n words in sources, lower case and space-separated
+function wordRunsOf(sources, n) {
+  const runs = new Set();
+  for (const src of sources) {
+    const w = wordsOf(src).map(m => m[0].toLowerCase());
+    for (let i = 0; i < w.length; i++) {
+      for (let k = 1; k <= n && i + k <= w.length; k++) runs.add(w.slice(i, i + k).join(" "));
+    }
+  }
+  return runs;
+}
+
+// A hold that only looks at the sentence still being written
+const inSentence = (hold) => (text) => {
+  const at = sentenceEnd(text);
+  return at + hold(text.slice(at));
+};
+
+// type → where it may run, compile(rule, fail) → find(text, ctx) → [{ index, length }],
+// what "rewrite" puts in place of a match when the rule has no "replacement", and
+// for block and rewrite rules while streaming, hold(rule) → (reply so far, ctx) →
+// where in it to start holding text back until more has arrived (default: only a
+// word still arriving)
+export const GUARDRAIL_TYPES = {
+  // More than max characters; rewrite truncates
+  length: {
+    directions: ["input"],
+    compile(rule, fail) {
+      if (!Number.isInteger(rule.max) || rule.max < 1) fail("max must be a whole number above 0");
+      return (text) => (text.length > rule.max ? [{ index: rule.max, length: text.length - rule.max }] : []);
+    },
+    rewrite: () => ""
+  },
+  // Regular expressions (case-insensitive, ^ and $ per line)
+  patterns: {
+    directions: ["input", "output"],
+    compile(rule, fail) {
+      const given = [].concat(rule.patterns || []);
+      if (!given.length) fail("patterns is empty");
+      const list = given.flatMap(p => {
+        try { return [new RegExp(p, "gim")]; } catch (e) { fail(`bad pattern: ${e.message}`); return []; }
+      });
+      return (text) => list.flatMap(re => matchRanges(text, re));
+    },
+    rewrite: () => ""
+  },
+  // Whole words or phrases, any case; rewrite keeps the first letter ("f***")
+  words: {
+    directions: ["input", "output"],
+    compile(rule, fail) {
+      const alt = phrasesPattern([].concat(rule.words || []));
+      if (!alt) fail("words is empty");
+      const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alt})(?![\\p{L}\\p{N}])`, "giu");
+      return (text) => matchRanges(text, re);
+    },
+    rewrite: (match) => match.slice(0, 1) + "*".repeat(match.length - 1),
+    // Enough whole words to finish the longest phrase
+    hold(rule) {
+      const longest = Math.max(...[].concat(rule.words || []).map(w => String(w).trim().split(/\s+/).length));
+      if (longest < 2) return null;
+      return inSentence((sentence) => {
+        const starts = [...sentence.matchAll(/\S+/g)].map(m => m.index);
+        return starts.at(-(/\s$/.test(sentence) ? longest - 1 : longest)) ?? 0;
+      });
+    }
+  },
+  // A sentence, list item or table row naming one of competitors next to a price; rewrite drops it
+  competitorPricing: {
+    directions: ["output"],
+    compile(rule, fail) {
+      const alt = phrasesPattern([].concat(rule.competitors || []));
+      if (!alt) fail("competitors is empty");
+      const names = new RegExp(`\\b(?:${alt})\\b`, "i");
+      return (text) => [...text.matchAll(SENTENCE)].filter(m => names.test(m[0]) && PRICE.test(m[0])).map(m => ({ index: m.index, length: m[0].length }));
+    },
+    rewrite: () => "",
+    // The whole sentence, once it names a competitor or a price or may be about to
+    hold(rule) {
+      const list = [].concat(rule.competitors || []).map(n => String(n).trim().toLowerCase()).filter(Boolean);
+      const names = new RegExp(`\\b(?:${phrasesPattern(list)})\\b`, "i");
+      const coming = (sentence) => {
+        const lower = sentence.toLowerCase();
+        return /[£€$\d][\d.,]*\s?$/.test(lower) || [...lower.matchAll(/(?<!\S)\S/g)].some(m => list.some(n => n.startsWith(lower.slice(m.index))));
+      };
+      return inSentence((sentence) => (names.test(sentence) || PRICE.test(sentence) || coming(sentence) ? 0 : sentence.length));
+    }
+  },
+  // Any of phrases (lines from the agent's own instructions, canary strings),
+  // or minWords words in a row from the instructions this proxy adds to runs
+  systemPrompt: {
+    directions: ["output"],
+    compile(rule, fail) {
+      const minWords = rule.minWords ?? 8;
+      if (!Number.isInteger(minWords) || minWords < 3) fail("minWords must be a whole number of at least 3");
+      const alt = phrasesPattern([].concat(rule.phrases || []));
+      const phrases = alt ? new RegExp(alt, "gi") : null;
+      return (text, ctx) => [...(phrases ? matchRanges(text, phrases) : []), ...sharedRuns(text, ctx.instructions || [], minWords)];
+    },
+    rewrite: () => "",
+    // From the first word of a run the instructions share that is still short of
+    // minWords (at minWords it's let through to be caught), or of the start of a phrase
+    hold(rule) {
+      const minWords = rule.minWords ?? 8;
+      const phrases = [].concat(rule.phrases || []).map(p => String(p).trim().toLowerCase().replace(/\s+/g, " ")).filter(Boolean);
+      const longest = Math.max(0, ...phrases.map(p => p.length));
+      let known = { key: null, runs: new Set() };
+      return (text, ctx) => {
+        const sources = ctx.instructions || [];
+        const key = sources.join("\0");
+        if (known.key !== key) known = { key, runs: wordRunsOf(sources, minWords) };
+        let from = text.length;
+        const words = wordsOf(text.slice(0, text.search(/\S*$/))); // not the word still arriving
+        for (let k = Math.min(minWords, words.length); k > 0; k--) {
+          if (!known.runs.has(words.slice(-k).map(m => m[0].toLowerCase()).join(" "))) continue;
+          if (k < minWords) from = words.at(-k).index;
+          break;
+        }
+        const lower = phrases.length ? text.toLowerCase() : "";
+        for (const m of lower.matchAll(/(?<!\S)\S/g)) {
+          if (m.index >= from) break;
+          if (lower.length - m.index > 2 * longest) continue; // too far back to still be one
+          const rest = lower.slice(m.index).replace(/\s+/g, " ");
+          if (phrases.some(p => p.startsWith(rest))) { from = m.index; break; }
+        }
+        return from;
+      };
+    }
+  }
+};
+
+// The built-in rules with file's (JSON { input: [], output: [] }, or none) merged
+// over them by id → { rules: { input, output }, errors }. hasMessage(key) says
+// whether a rule's "message" is in the locale catalogues.
+export function loadGuardrails(file, { hasMessage = () => true } = {}) {
+  const raw = file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const errors = [];
+  const rules = {};
+  for (const direction of ["input", "output"]) {
+    const merged = GUARDRAIL_DEFAULTS[direction].map(r => ({ ...r }));
+    for (const r of [].concat(raw[direction] || [])) {
+      const at = merged.findIndex(d => d.id === r?.id);
+      if (at === -1) merged.push({ ...r });
+      else merged[at] = { ...merged[at], ...r };
+    }
+    rules[direction] = [];
+    for (const r of merged) {
+      const fail = (why) => errors.push(`${direction} rule "${r.id}": ${why}`);
+      const type = GUARDRAIL_TYPES[r.type];
+      if (!GUARDRAIL_ID.test(String(r.id || ""))) { fail("id must be letters, digits and dashes"); continue; }
+      if (!GUARDRAIL_ACTIONS.includes(r.action)) { fail(`action must be one of ${GUARDRAIL_ACTIONS.join(", ")}`); continue; }
+      if (!type) { fail(`unknown type "${r.type}" (types: ${Object.keys(GUARDRAIL_TYPES).join(", ")})`); continue; }
+      if (!type.directions.includes(direction)) { fail(`type "${r.type}" only applies to ${type.directions.join(" and ")}`); continue; }
+      if (r.message && !hasMessage(r.message)) fail(`message "${r.message}" isn't in the locale catalogue`);
+      if (r.replacement !== undefined && typeof r.replacement !== "string") fail("replacement must be a string");
+      if (r.action === "off") continue;
+      rules[direction].push({
+        id: r.id,
+        type: r.type,
+        action: r.action,
+        message: r.message || null,
+        max: r.max,
+        find: type.compile(r, fail),
+        rewrite: typeof r.replacement === "string" ? () => r.replacement : type.rewrite,
+        hold: r.action === "rewrite" || r.action === "block" ? type.hold?.(r) || null : null
+      });
+    }
+  }
+  return { rules, errors };
+}
+
+export function rewriteRanges(text, ranges, replace) {
+  let out = "";
+  let at = 0;
+  for (const { index, length } of [...ranges].sort((a, b) => a.index - b.index)) {
+    const end = index + length;
+    if (end <= at) continue;
+    const from = Math.max(index, at);
+    out += text.slice(at, from) + replace(text.slice(from, end));
+    at = end;
+  }
+  return out + text.slice(at);
+}
+
+// The match with some context either side, PII masked, for the events file
+export const excerptOf = (text, { index, length }) =>
+  maskPII(`${index > 60 ? "…" : ""}${text.slice(Math.max(0, index - 60), index + Math.min(length, 200) + 60)}${index + length + 60 < text.length ? "…" : ""}`);
+
+// Run one direction's rules in order → { text, blocked: rule or null, hits: [{ rule, excerpt }] }.
+// A rewrite that leaves nothing counts as a block.
+export function applyGuardrails(rules, text, ctx = {}) {
+  const hits = [];
+  let out = text;
+  for (const rule of rules) {
+    const found = rule.find(out, ctx);
+    if (!found.length) continue;
+    hits.push({ rule, excerpt: excerptOf(out, found[0]) });
+    if (rule.action === "block") return { text: out, blocked: rule, hits };
+    if (rule.action === "rewrite") {
+      out = rewriteRanges(out, found, rule.rewrite).replace(/[ \t]{2,}/g, " ");
+      if (!out.trim()) return { text: out, blocked: rule, hits };
+    }
+  }
+  return { text: out, blocked: null, hits };
+}
+
+// The output rules over a streamed reply: lets text out a word at a time,
+// checking the reply so far before each release. Block and rewrite rules that
+// need more than the word (a phrase, a sentence, a run of the instructions)
+// hold text back until it's complete or clear, up to GUARDRAIL_HOLD_MAX
+// characters, so a blocked reply is replaced before what it's blocked for has
+// been sent. Patterns rules don't hold: the client drops what has streamed
+// when { replace } comes. push()/flush() → { text } to send on, or { replace } once a rule blocks the
+// reply, after which the rest is dropped. instructions() → the ctx.instructions
+// for systemPrompt rules, onHits(hits) records matches, message(rule) → what
+// the customer is shown instead; all are called at each check.
+export function createOutputGuard(rules, { instructions = () => [], onHits = () => {}, message }) {
+  const holds = rules.map(r => r.hold).filter(Boolean);
+  let pending = "";
+  let seen = "";
+  let blocked = false;
+  function release(upto, ctx) {
+    const part = pending.slice(0, upto);
+    pending = pending.slice(upto);
+    seen += part;
+    const whole = applyGuardrails(rules, seen, ctx);
+    onHits(whole.hits);
+    if (whole.blocked) {
+      blocked = true;
+      pending = "";
+      return { replace: message(whole.blocked) };
+    }
+    return { text: applyGuardrails(rules, part, ctx).text };
+  }
+  return {
+    get blocked() { return blocked; },
+    push(chunk) {
+      if (blocked) return { text: "" };
+      pending += chunk;
+      const ctx = { instructions: instructions() };
+      const text = seen + pending;
+      let from = text.search(/\S*$/);
+      for (const hold of holds) from = Math.min(from, hold(text, ctx));
+      let cut = Math.max(0, from - seen.length);
+      if (pending.length - cut > GUARDRAIL_HOLD_MAX) cut = pending.search(/\S*$/) || pending.length;
+      return cut ? release(cut, ctx) : { text: "" };
+    },
+    flush() {
+      return blocked || !pending ? { text: "" } : release(pending.length, { instructions: instructions() });
+    }
+  };
+}
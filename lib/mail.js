@@ -0,0 +1,110 @@
+// lib/mail.js
+// Mail transports for emailed transcripts (MAIL_TRANSPORT in server.js):
+// send({ from, to, raw }) → { id }
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import net from "net";
+import tls from "tls";
+import os from "os";
+
+// file: each message written to MAIL_DIR as an .eml, for testing without a mail server
+export function createFileMailTransport({ dir }) {
+  return {
+    name: "file",
+    async send({ raw }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomUUID().slice(0, 8)}.eml`;
+      await fs.promises.writeFile(path.join(dir, id), raw);
+      return { id };
+    }
+  };
+}
+
+// Reads SMTP replies off a socket; each call to the returned function waits for the next { code, text }
+export function smtpReplies(socket) {
+  let buffer = "";
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+  const settle = () => {
+    while (waiting.length && (replies.length || failure)) {
+      const w = waiting.shift();
+      if (replies.length) w.resolve(replies.shift()); else w.reject(failure);
+    }
+  };
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let nl;
+    while ((nl = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, nl).replace(/\r$/, "");
+      buffer = buffer.slice(nl + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join("\n") });
+        lines = [];
+      }
+    }
+    settle();
+  });
+  socket.on("error", (err) => { failure = err; settle(); });
+  socket.on("close", () => { failure ||= new Error("SMTP connection closed"); settle(); });
+  return () => new Promise((resolve, reject) => { waiting.push({ resolve, reject }); settle(); });
+}
+
+// smtp: one connection per message. smtps:// is TLS from the start; smtp://
+// upgrades with STARTTLS whenever the server offers it; AUTH PLAIN when the
+// URL carries credentials
+export function createSmtpMailTransport({ url, timeoutMs = 15000 }) {
+  const u = new URL(url);
+  const host = u.hostname;
+  const port = Number(u.port) || (u.protocol === "smtps:" ? 465 : 587);
+  const user = decodeURIComponent(u.username);
+  const pass = decodeURIComponent(u.password);
+  const secure = u.protocol === "smtps:";
+
+  const connected = (socket, event) => new Promise((resolve, reject) => {
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP timed out")));
+    socket.once(event, () => resolve(socket));
+    socket.once("error", reject);
+  });
+
+  return {
+    name: "smtp",
+    async send({ from, to, raw }) {
+      let socket = await (secure
+        ? connected(tls.connect({ host, port, servername: host }), "secureConnect")
+        : connected(net.connect({ host, port }), "connect"));
+      let next = smtpReplies(socket);
+      const expect = async (line, ok = 2) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await next();
+        if (Math.floor(reply.code / 100) !== ok) throw new Error(`SMTP ${reply.code} ${reply.text.split("\n")[0]}`);
+        return reply;
+      };
+      try {
+        await expect(null);
+        let hello = await expect(`EHLO ${os.hostname() || "localhost"}`);
+        if (!secure && /^STARTTLS\b/im.test(hello.text)) {
+          await expect("STARTTLS");
+          socket.removeAllListeners("data");
+          socket = await connected(tls.connect({ socket, servername: host }), "secureConnect");
+          next = smtpReplies(socket);
+          hello = await expect(`EHLO ${os.hostname() || "localhost"}`);
+        }
+        if (user) await expect(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass}`).toString("base64")}`);
+        await expect(`MAIL FROM:<${from}>`);
+        await expect(`RCPT TO:<${to}>`);
+        await expect("DATA", 3);
+        const body = raw.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..").replace(/\r\n$/, "");
+        const accepted = await expect(`${body}\r\n.`);
+        socket.end("QUIT\r\n");
+        return { id: accepted.text.trim() };
+      } finally {
+        if (!socket.writableEnded) socket.destroy();
+      }
+    }
+  };
+}
@@ -0,0 +1,94 @@
+// lib/pdf.js
+// PDF: one column of Helvetica text on A4, no dependencies. Used for the
+// transcript download and email attachment (see "Transcripts" in server.js).
+
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 56 };
+// Advance widths (1/1000 em) for " " to "~"; anything else counts as 556
+const PDF_WIDTHS = {
+  F1: [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584],
+  F2: [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584]
+};
+const WIN_ANSI = { "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99 };
+
+// Text → WinAnsi (Latin-1 plus curly quotes and dashes); other letters lose their
+// accents ("ŵ" → "w") and anything left without a glyph is dropped
+export const toWinAnsi = (text) => [...String(text).replace(/\t/g, "    ")].map(ch => {
+  const code = ch.codePointAt(0);
+  if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) return ch;
+  if (WIN_ANSI[ch]) return String.fromCharCode(WIN_ANSI[ch]);
+  const base = ch.normalize("NFD")[0];
+  return base.codePointAt(0) < 0x7f && base.codePointAt(0) >= 0x20 ? base : "";
+}).join("");
+
+const pdfWidth = (s, font, size) => [...s].reduce((w, ch) => w + (PDF_WIDTHS[font][ch.charCodeAt(0) - 32] ?? 556), 0) * size / 1000;
+
+// Greedy word wrap; a word longer than the line is broken wherever it has to be
+export function wrapPdfLine(line, font, size, maxWidth) {
+  const out = [];
+  let current = "";
+  for (const word of line.split(/(?<= )/)) {
+    if (pdfWidth(current + word, font, size) <= maxWidth) { current += word; continue; }
+    if (current) out.push(current.trimEnd());
+    current = word;
+    while (pdfWidth(current.trimEnd(), font, size) > maxWidth) {
+      let cut = current.length - 1;
+      while (cut > 1 && pdfWidth(current.slice(0, cut), font, size) > maxWidth) cut--;
+      out.push(current.slice(0, cut));
+      current = current.slice(cut);
+    }
+  }
+  out.push(current.trimEnd());
+  return out;
+}
+
+const pdfString = (s) => `(${s.replace(/[\\()]/g, "\\$&")})`;
+
+// blocks: [{ text, bold?, size?, grey?, gap? }] → PDF bytes; footer(page, pages) under each page
+export function renderPdf({ title, blocks, footer }) {
+  const { width, height, margin } = PDF_PAGE;
+  const pages = [[]];
+  let y = height - margin;
+  for (const b of blocks) {
+    const font = b.bold ? "F2" : "F1";
+    const size = b.size || 10;
+    const leading = size * 1.35;
+    y -= b.gap || 0;
+    const lines = String(b.text).split("\n").flatMap(line => wrapPdfLine(toWinAnsi(line), font, size, width - 2 * margin));
+    for (const line of lines) {
+      if (y - leading < margin + 24) { pages.push([]); y = height - margin; }
+      y -= leading;
+      if (line) pages.at(-1).push(`BT /${font} ${size} Tf ${b.grey ? "0.4" : "0"} g ${margin} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`);
+    }
+  }
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages.map((_p, i) => `${6 + 2 * i} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Title ${pdfString(toWinAnsi(title))} /CreationDate (D:${new Date().toISOString().replace(/\D/g, "").slice(0, 14)}Z) >>`
+  ];
+  pages.forEach((ops, i) => {
+    const foot = toWinAnsi(footer(i + 1, pages.length));
+    const stream = [...ops, `BT /F1 8 Tf 0.4 g ${margin} ${margin - 8} Td ${pdfString(foot)} Tj ET`].join("\n");
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + 2 * i} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = objects.map((body, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
@@ -0,0 +1,173 @@
+// lib/pii.js
+// UK PII in free text and in structured form payloads: detection, masking, and
+// the per-thread vault that swaps values for placeholders like [EMAIL_1] on
+// the way upstream and back again for tool calls and the customer's view.
+
+import path from "path";
+
+// What happens to each PII type / payload field before text goes upstream:
+//   tokenise  swap for a placeholder; the thread's vault turns it back into the real value
+//   mask      irreversible partial mask (j***@***.com, **** 1234)
+//   allow     pass through untouched
+export const PII_ACTIONS = ["tokenise", "mask", "allow"];
+export const PII_DEFAULT_POLICY = {
+  email: "tokenise",
+  phone: "tokenise",
+  card: "mask",
+  postcode: "allow",
+  vrn: "allow",
+  // payload fields (matched by JSON key; trailing * is a prefix match)
+  firstName: "tokenise",
+  lastName: "tokenise",
+  "addressLine*": "tokenise"
+};
+
+// "email=mask,phone=allow" over the defaults; unknown actions are ignored
+export function parsePiiPolicy(spec = "") {
+  const policy = { ...PII_DEFAULT_POLICY };
+  for (const pair of spec.split(",")) {
+    const [k, v] = pair.split("=").map(x => (x || "").trim());
+    if (k && PII_ACTIONS.includes(v)) policy[k] = v;
+  }
+  return policy;
+}
+
+const luhnOk = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+};
+
+// Order matters: earlier detectors claim text before later ones see it
+const PII_DETECTORS = [
+  { type: "email", re: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi },
+  { type: "card", re: /\b\d(?:[ -]?\d){12,18}\b/g, valid: (m) => luhnOk(m.replace(/\D/g, "")) },
+  { type: "phone", re: /(?:\+44|\b0044|\b0)(?:[\s-]?\d){9,10}\b/g },
+  { type: "postcode", re: /\b(?:GIR ?0AA|[A-PR-UWYZ][A-HK-Y]?\d[A-Z\d]? ?\d[ABD-HJLNP-UW-Z]{2})\b/gi },
+  { type: "vrn", re: /\b(?:[A-Z]{2}\d{2} ?[A-Z]{3}|[A-Z]\d{1,3} ?[A-Z]{3})\b/gi }
+];
+
+const PII_MASKS = {
+  email: (v) => `${v[0]}***@***${v.slice(v.lastIndexOf("."))}`,
+  card: (v) => `**** ${v.replace(/\D/g, "").slice(-4)}`,
+  phone: (v) => `*** ${v.replace(/\D/g, "").slice(-3)}`,
+  postcode: (v) => `${v.trim().toUpperCase().replace(/\s*\d[A-Z]{2}$/, "")} ***`,
+  vrn: (v) => `${v.slice(0, 2).toUpperCase()}** ***`
+};
+const maskValue = (type, v) => (PII_MASKS[type] || ((s) => `${String(s)[0] || ""}***`))(String(v));
+
+const TOKEN = /\[[A-Z0-9]+_\d+\]/g;
+
+export const createVault = () => ({ byToken: new Map(), byValue: new Map(), counts: {} });
+
+function tokenFor(vault, type, value) {
+  const label = type.replace(/[^a-z0-9]/gi, "").toUpperCase();
+  const key = `${label}:${value.toLowerCase()}`;
+  if (vault.byValue.has(key)) return vault.byValue.get(key);
+  vault.counts[label] = (vault.counts[label] || 0) + 1;
+  const token = `[${label}_${vault.counts[label]}]`;
+  vault.byValue.set(key, token);
+  vault.byToken.set(token, value);
+  return token;
+}
+
+function applyPii(action, type, value, vault) {
+  if (action === "tokenise" && vault) return tokenFor(vault, type, value);
+  if (action === "mask" || action === "tokenise") return maskValue(type, value);
+  return value;
+}
+
+// Free text: pattern detectors under `policy`
+function redactWith(policy, text, vault) {
+  let out = String(text ?? "");
+  for (const { type, re, valid } of PII_DETECTORS) {
+    const action = policy[type] || "allow";
+    if (action === "allow") continue;
+    out = out.replace(re, (m) => (valid && !valid(m)) || /^\[[A-Z0-9]+_\d+\]$/.test(m) ? m : applyPii(action, type, m, vault));
+  }
+  return out;
+}
+
+// Redaction under a policy (see parsePiiPolicy) → { redactText, redactValue, redactForUpstream }
+export function createRedactor(policy = PII_DEFAULT_POLICY) {
+  const redactText = (text, vault) => redactWith(policy, text, vault);
+
+  const fieldPolicy = (key) => {
+    for (const [k, action] of Object.entries(policy)) {
+      if (k === key || (k.endsWith("*") && key.startsWith(k.slice(0, -1)))) return action;
+    }
+    return null;
+  };
+
+  // Structured values: field policies by key, then pattern detectors on the rest
+  function redactValue(value, vault, key = null) {
+    if (Array.isArray(value)) return value.map(v => redactValue(v, vault));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v, vault, k)]));
+    }
+    if (typeof value !== "string" || !value) return value;
+    const action = key && !PII_DETECTORS.some(d => d.type === key) ? fieldPolicy(key) : null;
+    return action ? applyPii(action, key, value, vault) : redactText(value, vault);
+  }
+
+  // Outgoing user text; an embedded JSON payload ("LOYALTY_SIGNUP payload: {...}") gets field policies too
+  function redactForUpstream(text, vault) {
+    const brace = text.indexOf("{");
+    if (brace !== -1) {
+      try {
+        const payload = JSON.parse(text.slice(brace));
+        return redactText(text.slice(0, brace), vault) + JSON.stringify(redactValue(payload, vault));
+      } catch {}
+    }
+    return redactText(text, vault);
+  }
+
+  return { redactText, redactValue, redactForUpstream };
+}
+
+export const restoreTokens = (text, vault) =>
+  !vault ? text : String(text).replace(TOKEN, (t) => vault.byToken.get(t) ?? t);
+
+export function restoreDeep(value, vault) {
+  if (!vault) return value;
+  if (Array.isArray(value)) return value.map(v => restoreDeep(v, vault));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, restoreDeep(v, vault)]));
+  }
+  return typeof value === "string" ? restoreTokens(value, vault) : value;
+}
+
+// Streaming counterpart of restoreTokens: holds back a "[TOKEN" split across deltas
+export function createTokenRestorer(vault) {
+  let pending = "";
+  return {
+    push(chunk) {
+      const text = pending + chunk;
+      const cut = text.search(/\[[A-Z0-9_]*$/);
+      pending = cut === -1 ? "" : text.slice(cut);
+      return restoreTokens(cut === -1 ? text : text.slice(0, cut), vault);
+    },
+    flush() {
+      const out = restoreTokens(pending, vault);
+      pending = "";
+      return out;
+    }
+  };
+}
+
+// Every type masked, whatever the policy: for logs, feedback comments and excerpts
+const LOG_POLICY = Object.fromEntries(PII_DETECTORS.map(d => [d.type, "mask"]));
+export const maskPII = (text) => redactWith(LOG_POLICY, text, null);
+
+// An uploaded file's name as the customer gave it, made safe to show and
+// store: no directories or odd characters, at most 80 characters, PII masked
+export function maskFileName(raw, fallback) {
+  let name = "";
+  try { name = decodeURIComponent(String(raw || "")); } catch {}
+  name = path.basename(name).replace(/[^\w .()@+-]+/g, "_").trim().slice(-80);
+  return maskPII(name || fallback);
+}
@@ -0,0 +1,123 @@
+// lib/redis.js
+// Redis client and express-rate-limit store behind RATE_LIMIT_STORE=redis
+// (see "Rate limits" in server.js). No side effects on import, so the tests
+// can drive it against a stub server.
+
+import net from "net";
+import tls from "tls";
+
+// Just enough of the Redis protocol (RESP2) for the limiter: one connection,
+// replies matched to commands in order, reconnecting on the next command
+// after a drop
+export function createRedisClient(url, { timeoutMs = 2000 } = {}) {
+  const u = new URL(url);
+  const secure = u.protocol === "rediss:";
+  const port = Number(u.port) || 6379;
+  const db = Number(u.pathname.slice(1)) || 0;
+  const pending = [];
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+
+  const encode = (args) => `*${args.length}\r\n${args.map(a => `$${Buffer.byteLength(String(a))}\r\n${a}\r\n`).join("")}`;
+
+  // One reply from `at` → [value, next offset], or null until it has all arrived
+  function parse(buf, at = 0) {
+    const nl = buf.indexOf("\r\n", at);
+    if (nl < 0) return null;
+    const type = String.fromCharCode(buf[at]);
+    const line = buf.toString("utf8", at + 1, nl);
+    if (type === "+") return [line, nl + 2];
+    if (type === "-") return [new Error(`Redis: ${line}`), nl + 2];
+    if (type === ":") return [Number(line), nl + 2];
+    if (type === "$") {
+      const len = Number(line);
+      if (len < 0) return [null, nl + 2];
+      return buf.length < nl + 4 + len ? null : [buf.toString("utf8", nl + 2, nl + 2 + len), nl + 4 + len];
+    }
+    if (type === "*") {
+      const items = [];
+      let next = nl + 2;
+      for (let i = 0; i < Number(line); i++) {
+        const item = parse(buf, next);
+        if (!item) return null;
+        items.push(item[0]);
+        next = item[1];
+      }
+      return [items, next];
+    }
+    throw new Error(`Redis: unexpected reply type "${type}"`);
+  }
+
+  function drop(err) {
+    const s = socket;
+    socket = null; ready = null; buffer = Buffer.alloc(0);
+    s?.destroy();
+    for (const p of pending.splice(0)) p.reject(err);
+  }
+
+  const send = (args) => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject });
+    socket.write(encode(args));
+  });
+
+  function connect() {
+    ready ||= new Promise((resolve, reject) => {
+      let connected = false;
+      const s = socket = secure ? tls.connect({ host: u.hostname, port, servername: u.hostname }) : net.connect({ host: u.hostname, port });
+      // Idle is fine; a connect or a reply that takes too long isn't
+      s.setTimeout(timeoutMs, () => { if (!connected || pending.length) s.destroy(new Error("Redis timed out")); });
+      s.on("data", (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let reply;
+        try {
+          while ((reply = parse(buffer))) {
+            buffer = buffer.subarray(reply[1]);
+            const p = pending.shift();
+            if (reply[0] instanceof Error) p?.reject(reply[0]); else p?.resolve(reply[0]);
+          }
+        } catch (err) {
+          drop(err);
+        }
+      });
+      s.on("error", (err) => { if (socket === s) drop(err); reject(err); });
+      s.on("close", () => { if (socket === s) drop(new Error("Redis connection closed")); });
+      s.once(secure ? "secureConnect" : "connect", () => {
+        connected = true;
+        const user = decodeURIComponent(u.username);
+        const pass = decodeURIComponent(u.password);
+        Promise.all([
+          ...(pass ? [send(user ? ["AUTH", user, pass] : ["AUTH", pass])] : []),
+          ...(db ? [send(["SELECT", db])] : [])
+        ]).then(resolve, (err) => { if (socket === s) drop(err); reject(err); });
+      });
+    });
+    return ready;
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    }
+  };
+}
+
+// express-rate-limit store on Redis: one counter per key, expiring with its window
+const RATE_LIMIT_SCRIPT = "local n = redis.call('INCR', KEYS[1]) if n == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end return { n, redis.call('PTTL', KEYS[1]) }";
+
+export function createRedisLimitStore(client, prefix) {
+  let windowMs = 60_000;
+  return {
+    localKeys: false,
+    // express-rate-limit tells one shared store's keys apart by this
+    prefix,
+    init(options) { windowMs = options.windowMs; },
+    async increment(key) {
+      const [totalHits, ttl] = await client.command("EVAL", RATE_LIMIT_SCRIPT, 1, prefix + key, windowMs);
+      return { totalHits, resetTime: new Date(Date.now() + (ttl > 0 ? ttl : windowMs)) };
+    },
+    async decrement(key) { await client.command("DECR", prefix + key); },
+    async resetKey(key) { await client.command("DEL", prefix + key); }
+  };
+}
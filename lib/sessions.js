@@ -0,0 +1,78 @@
+// lib/sessions.js
+// The signed, httpOnly session cookie the proxy issues when it creates a
+// thread, and the guard that only lets that session touch the thread
+// afterwards. Ownership itself (threadId → { sessionId, lastActiveAt, … })
+// lives in a Map the server owns.
+
+import crypto from "crypto";
+
+export const SESSION_COOKIE = "fred_sid";
+
+// sameSite: Lax | Strict | None; None implies Secure and a partitioned cookie
+export function createSessions({ secret, sameSite = "Lax", secure = false }) {
+  const sign = (id) => crypto.createHmac("sha256", secret).update(id).digest("base64url");
+
+  // The session id from a cookie whose signature checks out, else null
+  function read(req) {
+    const header = req.headers.cookie || "";
+    for (const part of header.split(";")) {
+      const [k, ...v] = part.trim().split("=");
+      if (k !== SESSION_COOKIE) continue;
+      const [id, sig] = decodeURIComponent(v.join("=")).split(".");
+      if (!id || !sig) return null;
+      const want = Buffer.from(sign(id));
+      const got = Buffer.from(sig);
+      return want.length === got.length && crypto.timingSafeEqual(want, got) ? id : null;
+    }
+    return null;
+  }
+
+  // Reuse the caller's session or issue a new cookie (call before the response is sent)
+  function ensure(req, res) {
+    if (req.sessionId) return req.sessionId;
+    const id = crypto.randomBytes(18).toString("base64url");
+    const attrs = [
+      `${SESSION_COOKIE}=${encodeURIComponent(`${id}.${sign(id)}`)}`,
+      "Path=/api",
+      "HttpOnly",
+      `SameSite=${sameSite}`
+    ];
+    if (secure || sameSite === "None") attrs.push("Secure");
+    // Cross-site (an embed.js panel on another site): a cookie jar per embedding site
+    if (sameSite === "None") attrs.push("Partitioned");
+    res.append("Set-Cookie", attrs.join("; "));
+    req.sessionId = id;
+    return id;
+  }
+
+  return { sign, read, ensure };
+}
+
+// owners: threadId → { sessionId, lastActiveAt, … }; a thread lapses after
+// retentionMs without activity
+export function createThreadGuard(owners, { retentionMs }) {
+  const expired = (t) => Date.now() - t.lastActiveAt > retentionMs;
+
+  // Guard for thread-scoped routes; a missing threadId is left to the route's own 400
+  function requireThreadOwner(req, res, next) {
+    const threadId = req.body?.threadId || req.query?.threadId;
+    if (!threadId) return next();
+
+    const t = owners.get(String(threadId));
+    if (!t || !req.sessionId || t.sessionId !== req.sessionId) {
+      return res.status(404).json({ error: { message: "Unknown thread" } });
+    }
+    if (expired(t)) {
+      owners.delete(String(threadId));
+      return res.status(410).json({ error: { message: "This conversation has expired" } });
+    }
+    t.lastActiveAt = Date.now();
+    next();
+  }
+
+  function sweep() {
+    for (const [id, t] of owners) if (expired(t)) owners.delete(id);
+  }
+
+  return { expired, requireThreadOwner, sweep };
+}
@@ -0,0 +1,153 @@
+// lib/upstream.js
+// The fetch every Foundry call goes through: bearer token, timeouts, retries
+// with jittered backoff or the service's Retry-After, one token refresh on
+// 401, and a circuit breaker that fails fast while the service is down.
+
+export const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Opens after `threshold` consecutive failures; after cooldownMs one trial call
+// goes through (half-open) and its outcome closes or reopens it
+export function createCircuitBreaker({ threshold, cooldownMs }) {
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+  const isOpen = () => failures >= threshold;
+  return {
+    // false while open; after the cooldown lets a single trial call through
+    allow() {
+      if (!isOpen()) return true;
+      if (trialInFlight || Date.now() - openedAt < cooldownMs) return false;
+      trialInFlight = true;
+      return true;
+    },
+    success() { failures = 0; trialInFlight = false; },
+    failure() {
+      failures++;
+      trialInFlight = false;
+      if (isOpen()) openedAt = Date.now();
+    },
+    // Outcome unknown (caller gave up): let the next call be the trial instead
+    release() { trialInFlight = false; },
+    retryAfterMs: () => Math.max(0, openedAt + cooldownMs - Date.now()),
+    snapshot() {
+      if (!isOpen()) return { state: "closed", failures };
+      const retryAt = new Date(openedAt + cooldownMs).toISOString();
+      return { state: trialInFlight || Date.now() >= openedAt + cooldownMs ? "half-open" : "open", failures, retryAt };
+    }
+  };
+}
+
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => { clearTimeout(t); reject(signal.reason); };
+  const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// How long to wait before retry number attempt + 1: the response's
+// retry-after-ms / Retry-After (seconds or a date), else full jitter over
+// exponential backoff
+export function retryDelay(attempt, res, { baseMs = 400, capMs = 8_000, random = Math.random } = {}) {
+  const ms = Number(res?.headers.get("retry-after-ms") ?? NaN);
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+  const after = res?.headers.get("retry-after");
+  if (after) {
+    const afterMs = /^\d+$/.test(after) ? Number(after) * 1000 : Date.parse(after) - Date.now();
+    if (Number.isFinite(afterMs)) return Math.max(0, afterMs);
+  }
+  return random() * Math.min(capMs, baseMs * 2 ** attempt);
+}
+
+// → upstreamFetch(url, options). Network errors, timeouts, 408 and 5xx are
+// retried only for idempotent calls; any call may retry a 429, which the
+// service never acted on. Asked to wait longer than retryWaitMaxMs, it gives
+// up and passes the error on. onRetry(reason, fields) hears about each retry
+// and token refresh (reason "401", "timeout", "network" or the status).
+export function createUpstreamFetch({
+  fetch = globalThis.fetch,
+  getAccessToken,
+  invalidateAccessToken,
+  breaker,
+  retries = 2,
+  timeoutMs: defaultTimeoutMs = 30_000,
+  retryBaseMs = 400,
+  retryCapMs = 8_000,
+  retryWaitMaxMs = 20_000,
+  random = Math.random,
+  requestId = () => undefined,
+  onRetry = () => {}
+}) {
+  // timeoutMs bounds the whole call; for streams, only the wait for headers
+  return async function upstreamFetch(url, { method = "GET", headers = {}, body, signal, stream = false, idempotent = method === "GET", timeoutMs = defaultTimeoutMs } = {}) {
+    if (!breaker.allow()) {
+      return new Response(JSON.stringify({ error: { message: "Upstream circuit open", type: "circuit_open" } }), {
+        status: 503,
+        headers: { "Content-Type": "application/json", "Retry-After": String(Math.ceil(breaker.retryAfterMs() / 1000)) }
+      });
+    }
+    const call = `${method} ${new URL(url).pathname}`;
+    let refreshed = false;
+    for (let attempt = 0; ; attempt++) {
+      const timeout = new AbortController();
+      const timer = setTimeout(() => timeout.abort(new Error(`Upstream timed out after ${timeoutMs} ms`)), timeoutMs);
+      timer.unref();
+      let res = null;
+      let error = null;
+      try {
+        const token = await getAccessToken();
+        const id = requestId();
+        res = await fetch(url, {
+          method,
+          headers: { ...headers, Authorization: `Bearer ${token}`, ...(id ? { "x-ms-client-request-id": id } : {}) },
+          body,
+          signal: signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal
+        });
+      } catch (err) {
+        error = timeout.signal.aborted ? timeout.signal.reason : err;
+      }
+      // A non-streaming body is read later by the caller; leave the timer running to bound that too
+      if (stream || error) clearTimeout(timer);
+
+      if (signal?.aborted) {
+        breaker.release();
+        if (error) throw error;
+        return res;
+      }
+      if (res?.status === 401 && !refreshed) {
+        refreshed = true;
+        attempt--;
+        invalidateAccessToken();
+        await res.body?.cancel();
+        onRetry("401", { call });
+        continue;
+      }
+      if (!error && !RETRYABLE_STATUSES.has(res.status)) {
+        breaker.success();
+        return res;
+      }
+
+      const canRetry = attempt < retries && (idempotent || res?.status === 429);
+      const delay = canRetry ? retryDelay(attempt, res, { baseMs: retryBaseMs, capMs: retryCapMs, random }) : Infinity;
+      if (delay > retryWaitMaxMs) {
+        // Throttling means the service is up; everything else counts against it
+        if (res?.status === 429) breaker.success();
+        else breaker.failure();
+        if (error) throw error;
+        return res;
+      }
+      await res?.body?.cancel();
+      onRetry(error ? (timeout.signal.aborted ? "timeout" : "network") : String(res.status), {
+        call,
+        ...(error ? { error: error.message } : { status: res.status }),
+        retry: `${attempt + 1}/${retries}`,
+        delayMs: Math.round(delay)
+      });
+      try {
+        await wait(delay, signal);
+      } catch (err) {
+        breaker.release();
+        throw err;
+      }
+    }
+  };
+}
@@ -1,10 +1,28 @@
 // public/chat.js
 // Modular chat UI with form fragments + feedback stars.
-// Uses your Azure AI Foundry project + assistant IDs and your Express proxy.
+// Talks only to the Express proxy, which picks the Azure AI Foundry assistant.
+
+import { renderMarkdown } from "./markdown.js";
+import { initI18n, setLocale, getLocale, availableLocales, t, tn, translate, translateDocument } from "./i18n.js";
 
 /* ====== CONFIG ====== */
-const PROJECT_ENDPOINT = "https://aiandautoaifoundry.services.ai.azure.com/api/projects/HalGenAI";
-const ASSISTANT_ID    = "asst_mTjocL4RbpsVMQ73zHHph9W3";
+/* Inside the public/embed.js launcher's iframe: its data-attributes arrive on the query string */
+const EMBED = (() => {
+  const q = new URLSearchParams(location.search);
+  return q.get("embed") === "1" && window.parent !== window ? q : null;
+})();
+
+/* Which assistant a new chat gets: the proxy routes on channel, entry page and quick-action
+   topic; window.CHAT_PROFILE asks for a named profile (see /api/assistants) outright */
+const CHAT_PROFILE = (typeof window !== "undefined" && window.CHAT_PROFILE) || EMBED?.get("profile") || undefined;
+const CHAT_CHANNEL = (typeof window !== "undefined" && window.CHAT_CHANNEL) || EMBED?.get("channel") || undefined;
+const CHAT_PAGE    = (typeof window !== "undefined" && window.CHAT_PAGE) || EMBED?.get("page") || location.pathname;
+
+/* Stream replies over SSE (set window.USE_STREAMING = false to force polling) */
+const USE_STREAMING = (typeof window === "undefined" || window.USE_STREAMING !== false);
+
+/* Hosts agent replies may embed images from ("*.example.com" covers subdomains); other images become links */
+const MARKDOWN_IMAGE_HOSTS = (typeof window !== "undefined" && window.MARKDOWN_IMAGE_HOSTS) || ["halfords.com", "*.halfords.com"];
 
 /* Proxy base (file:// safe + same-origin by default) */
 const DEFAULT_PROXY = "http://localhost:3000/api";
@@ -16,25 +34,31 @@ const PROXY_BASE =
     ? DEFAULT_PROXY
     : window.location.origin.replace(/\/$/, "") + "/api");
 
+/* UI language: saved choice, then the embedding page's data-lang (?lang=), then the browser's */
+await initI18n(PROXY_BASE, { hint: new URLSearchParams(location.search).get("lang") });
+translateDocument();
+
+/* ====== Forms routing ====== */
+// Form definitions come from the proxy (public/forms/*.json); each is reachable
+// by its name or any of its aliases, so data-action="wimo" still works.
+let formDefsPromise = null;
+function loadFormDefs() {
+  formDefsPromise ||= fetchJSON(`${PROXY_BASE}/forms`, {}, "forms").then(({ forms = [] }) => {
+    const defs = new Map();
+    for (const def of forms) for (const key of [def.name, ...(def.aliases || [])]) defs.set(key, def);
+    return defs;
+  }).catch((e) => { formDefsPromise = null; throw e; });
+  return formDefsPromise;
+}
 
-    /* ====== Forms routing ====== */
-const FORM_MAP = {
-  // actions → fragment filenames (without .html)
-  "wimo": "track-order",
-  "c2w": "c2w-status",
-  "loyalty": "loyalty-signup",
-
-  // also allow direct names so data-form="loyalty-signup" works
-  "track-order": "track-order",
-  "c2w-status": "c2w-status",
-  "loyalty-signup": "loyalty-signup",
-};
-
-function openForm(nameLike) {
+// → true when a form was opened for this name/alias
+async function openForm(nameLike) {
   const key = String(nameLike || "").trim();
-  const mapped = FORM_MAP[key] || key;
-  log(`🧩 openForm(${key}) → ${mapped}`);
-  return renderFormFragment(mapped);
+  const def = (await loadFormDefs()).get(key);
+  log(`🧩 openForm(${key}) → ${def?.name || "(none)"}`);
+  if (!def) return false;
+  renderForm(def);
+  return true;
 }
 
 /* ===== Theme toggle ===== */
@@ -45,11 +69,15 @@ function applyTheme(theme) {
   const root = document.documentElement;
   root.classList.toggle("dark", theme === "dark");
   localStorage.setItem(THEME_KEY, theme);
+  labelThemeToggle();
+}
+
+function labelThemeToggle() {
   const btn = document.getElementById("themeToggle");
   if (btn) {
-    const isDark = theme === "dark";
+    const isDark = document.documentElement.classList.contains("dark");
     btn.textContent = isDark ? "☀️" : "🌙";
-    btn.title = isDark ? "Switch to light mode" : "Switch to dark mode";
+    btn.title = isDark ? t("theme.toLight") : t("theme.toDark");
     btn.setAttribute("aria-pressed", String(isDark));
   }
 }
@@ -61,11 +89,16 @@ const A11Y_KEY = "halfordsA11y";
 function applyA11y(enabled) {
   document.documentElement.classList.toggle("a11y", !!enabled);
   localStorage.setItem(A11Y_KEY, enabled ? "1" : "0");
+  labelA11yToggle();
+}
+
+function labelA11yToggle() {
   const btn = document.getElementById("a11yToggle");
   if (btn) {
-    btn.setAttribute("aria-pressed", String(!!enabled));
+    const enabled = document.documentElement.classList.contains("a11y");
+    btn.setAttribute("aria-pressed", String(enabled));
     btn.textContent = enabled ? "A11y✓" : "A11y";
-    btn.title = enabled ? "Switch off accessible mode" : "Switch on accessible mode";
+    btn.title = enabled ? t("a11y.turnOff") : t("a11y.turnOn");
   }
 }
 
@@ -75,21 +108,23 @@ function initA11y() {
   applyA11y(saved);
 }
 
-document.addEventListener("DOMContentLoaded", () => {
-  initA11y();
-  const a11yBtn = document.getElementById("a11yToggle");
-  a11yBtn?.addEventListener("click", () => {
-    const on = document.documentElement.classList.contains("a11y");
-    applyA11y(!on);
-  });
+// Module scripts run after parsing (and this one waits for its catalogue), so the buttons exist already
+initA11y();
+document.getElementById("a11yToggle")?.addEventListener("click", () => {
+  const on = document.documentElement.classList.contains("a11y");
+  applyA11y(!on);
+  if (on) stopVoice();
 });
 
 
-/** Decide initial theme from saved preference or OS */
+/** Decide initial theme from saved preference, the embedding page's choice or OS */
 function initTheme() {
   const saved = localStorage.getItem(THEME_KEY);
+  const hostTheme = EMBED?.get("theme");
   if (saved === "light" || saved === "dark") {
     applyTheme(saved);
+  } else if (hostTheme === "light" || hostTheme === "dark") {
+    applyTheme(hostTheme);
   } else {
     const prefersDark = window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches;
     applyTheme(prefersDark ? "dark" : "light");
@@ -104,16 +139,10 @@ function initTheme() {
   }
 }
 
-// Wire up the button (works even if added later)
-document.addEventListener("DOMContentLoaded", () => {
-  initTheme();
-  const btn = document.getElementById("themeToggle");
-  if (btn) {
-    btn.addEventListener("click", () => {
-      const isDark = document.documentElement.classList.contains("dark");
-      applyTheme(isDark ? "light" : "dark");
-    });
-  }
+initTheme();
+document.getElementById("themeToggle")?.addEventListener("click", () => {
+  const isDark = document.documentElement.classList.contains("dark");
+  applyTheme(isDark ? "light" : "dark");
 });
 
 /* ====== UI + logging ====== */
@@ -125,7 +154,9 @@ if (!$messages) throw new Error("Missing #messages container – check your inde
 
 let threadId = null;
 let sending = false;
+let activeTurn = null; // { runId, stopped, abort } while a reply is on its way
 let pendingFeedback = false;
+let pendingTopic = null; // quick action that opened the conversation, sent when the thread is created
 
 const now = () => new Date().toISOString().replace("T", " ").replace("Z", "Z");
 const log = (...args) => { if ($log) $log.textContent += `[${now()}] ${args.join(" ")}\n`; };
@@ -162,80 +193,10 @@ window.addEventListener("resize", () => ensureBottomSoon({ smooth: false }));
 /* ====== Markdown (safe/minimal) ====== */
 function escapeHtml(s){ return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
 
+// Attachments and image outputs are served by the proxy, so its host is always allowed
+const IMAGE_HOSTS = [...MARKDOWN_IMAGE_HOSTS, new URL(PROXY_BASE).hostname];
 function mdToHtml(md) {
-  // 0) Escape first
-  let s = escapeHtml(String(md || ''));
-
-  // 1) Code fences (```lang\n...\n```)
-  s = s.replace(/```([a-z0-9_-]+)?\n([\s\S]*?)```/gi, (_m, _lang, code) =>
-    `<pre><code>${code.replace(/</g,"&lt;").replace(/>/g,"&gt;")}</code></pre>`
-  );
-  // 2) Inline code
-  s = s.replace(/`([^`]+?)`/g, (_m, code) => `<code>${code}</code>`);
-
-  // --- Protect code chunks so we don't autolink inside them ---
-  const blocks = [];
-  s = s.replace(/<pre><code>[\s\S]*?<\/code><\/pre>/g, (m) => {
-    const i = blocks.push(m) - 1;
-    return `@@CB${i}@@`;
-  });
-  const inlines = [];
-  s = s.replace(/<code>[\s\S]*?<\/code>/g, (m) => {
-    const i = inlines.push(m) - 1;
-    return `@@IC${i}@@`;
-  });
-
-  // 3) Headings, strong/emphasis, quotes, lists
-  s = s.replace(/^(#{1,6})\s+(.+)$/gm, (_m, hashes, text) => {
-    const n = Math.min(hashes.length, 6);
-    return `<h${n}>${text}</h${n}>`;
-  });
-  s = s.replace(/\*\*([^*]+?)\*\*/g, '<strong>$1</strong>');
-  s = s.replace(/(^|[^\*])\*([^*\n]+)\*(?!\*)/g, '$1<em>$2</em>');
-  s = s.replace(/(^|[^_])_([^_\n]+)_(?!_)/g, '$1<em>$2</em>');
-  s = s.replace(/^>\s?(.*)$/gm, '<blockquote>$1</blockquote>');
-  s = s.replace(/(^|\n)(?:\d+\.\s.*(?:\n\d+\.\s.*)*)/g, block => {
-    const items = block.trim().split(/\n/).map(l => l.replace(/^\d+\.\s/, '').trim());
-    return `\n<ol>\n${items.map(it=>`<li>${it}</li>`).join('\n')}\n</ol>`;
-  });
-  s = s.replace(/(^|\n)(?:[-*]\s.*(?:\n[-*]\s.*)*)/g, block => {
-    const items = block.trim().split(/\n/).map(l => l.replace(/^[-*]\s/, '').trim());
-    return `\n<ul>\n${items.map(it=>`<li>${it}</li>`).join('\n')}\n</ul>`;
-  });
-
-  // 4) Markdown links [text](url) (keep as-is)
-  s = s.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (_m, txt, url) => {
-    if (!/^https?:\/\//i.test(url)) return txt;
-    return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(txt)}</a>`;
-  });
-
-  // 5) Auto-link bare URLs / angle-bracket links / www. links
-  // angle-bracket form like <https://example.com> (escaped as &lt;https...&gt;)
-  s = s.replace(/&lt;(https?:\/\/[^ >]+)&gt;/gi, (_m, url) =>
-    `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>`
-  );
-  // www. links (no scheme)
-  s = s.replace(/(^|[\s(])((?:www\.)[^\s<>()]+[^\s<>().,!?;:'"])/gi, (_m, pre, host) =>
-    `${pre}<a href="https://${escapeHtml(host)}" target="_blank" rel="noopener noreferrer">${escapeHtml(host)}</a>`
-  );
-  // http(s) bare links – exclude trailing punctuation
-  s = s.replace(/(^|[\s(])((?:https?:\/\/)[^\s<>()]+?)(?=[\s)]|$)/gi, (_m, pre, url) => {
-    // strip trailing punctuation that often follows links
-    const cleaned = url.replace(/[),.;:!?]+$/,'');
-    return `${pre}<a href="${escapeHtml(cleaned)}" target="_blank" rel="noopener noreferrer">${escapeHtml(cleaned)}</a>`;
-  });
-
-  // 6) Paragraphs
-  s = s.replace(/\n{2,}/g, '</p><p>');
-  s = `<p>${s}</p>`;
-  s = s.replace(/<p>\s*<\/p>/g, '');
-  s = s.replace(/<p>(<(?:h\d|ul|ol|pre|blockquote)[\s\S]*?<\/(?:h\d|ul|ol|pre|blockquote)>)<\/p>/g, '$1');
-
-  // --- Restore code chunks ---
-  s = s.replace(/@@CB(\d+)@@/g, (_m, i) => blocks[+i]);
-  s = s.replace(/@@IC(\d+)@@/g, (_m, i) => inlines[+i]);
-
-  return s;
+  return renderMarkdown(md, { imageHosts: IMAGE_HOSTS });
 }
 
 
@@ -251,7 +212,8 @@ function extractAssistantText(msg) {
     if (typeof it.output_text === "string") { out.push(it.output_text); return; }
     if (it.output_text && typeof it.output_text.value === "string") { out.push(it.output_text.value); return; }
     if (typeof it.value === "string") { out.push(it.value); return; }
-    if (it.type?.includes("image") || it.image || it.image_file) { out.push("[Image output]"); return; }
+    if (it.image_file?.file_id) { out.push(`![Image](${fileUrl(it.image_file.file_id)})`); return; }
+    if (it.type?.includes("image") || it.image) { out.push("[Image output]"); return; }
     out.push(JSON.stringify(it));
   };
   try { if (Array.isArray(msg.content)) for (const c of msg.content) take(c); else take(msg.content); } catch {}
@@ -259,15 +221,42 @@ function extractAssistantText(msg) {
 }
 
 /* ====== Message rendering ====== */
-function addMsg(role, html) {
+/** Numbered sources under an assistant bubble ({ n, title, url? } from the proxy) */
+function renderFootnotes(bubble, citations = []) {
+  bubble.parentElement?.querySelector(".footnotes")?.remove();
+  if (!citations.length) return;
+  const box = document.createElement("div");
+  box.className = "footnotes";
+  const label = document.createElement("div");
+  label.className = "muted"; label.textContent = t("message.sources");
+  const list = document.createElement("ol");
+  for (const c of citations) {
+    const li = document.createElement("li");
+    li.value = c.n;
+    if (/^https?:\/\//i.test(c.url || "")) {
+      const a = document.createElement("a");
+      a.href = c.url; a.target = "_blank"; a.rel = "noopener noreferrer";
+      a.textContent = c.title || c.url;
+      li.appendChild(a);
+    } else {
+      li.textContent = c.title || t("message.source");
+    }
+    list.appendChild(li);
+  }
+  box.append(label, list);
+  bubble.insertAdjacentElement("afterend", box);
+}
+
+/** role: "user" | "assistant" | "colleague" (a person who took the chat over; name is theirs) */
+function addMsg(role, html, { name = "" } = {}) {
   const row = document.createElement("div");
-  row.className = "msg " + (role === "user" ? "user" : "assistant");
+  row.className = "msg " + (role === "user" ? "user" : role === "colleague" ? "assistant colleague" : "assistant");
   const avatar = document.createElement("div");
-  avatar.className = "avatar " + (role === "assistant" ? "h" : "");
-  avatar.textContent = role === "assistant" ? "H" : "You";
+  avatar.className = "avatar " + (role === "assistant" ? "h" : role === "colleague" ? "c" : "");
+  avatar.textContent = role === "assistant" ? "H" : role === "colleague" ? initials(name) : t("message.you");
   const wrap = document.createElement("div");
   const meta = document.createElement("div");
-  meta.className = "meta"; meta.textContent = role === "assistant" ? "Assistant" : "You";
+  meta.className = "meta"; meta.textContent = role === "assistant" ? t("message.assistant") : role === "colleague" ? t("handoff.colleague", { name }) : t("message.you");
   const bubble = document.createElement("div");
   bubble.className = "bubble"; bubble.innerHTML = html;
   wrap.appendChild(meta); wrap.appendChild(bubble);
@@ -284,202 +273,943 @@ function addMsg(role, html) {
   ensureBottomSoon({ smooth: true });
   return bubble;
 }
+const initials = (name = "") => name.split(/\s+/).filter(Boolean).slice(0, 2).map(w => w[0].toUpperCase()).join("") || "?";
 let typingEl = null;
 function showTyping(){ typingEl = addMsg("assistant", `<span class="typing"><span></span><span></span><span></span></span>`); }
 function hideTyping(){ if (typingEl && typingEl.closest(".msg")) typingEl.closest(".msg").remove(); typingEl = null; ensureBottomSoon({ smooth: true }); }
 
-/* ====== Suggestions for /newChat (optional) ====== */
-const SUGGESTIONS = [
-  { label: "Track my order", prompt: "Where is my order?", action: "wimo" },
-  { label: "Find a store", prompt: "Find my nearest Halfords store." },
-  { label: "Help me choose", prompt: "Help me choose a bike." },
-  { label: "Cycle2Work status", prompt: "Check my Cycle to Work status.", action: "c2w" },
-  { label: "Book a bike service", prompt: "I want to book a bike service." },
-  { label: "What Motoring Club Benefits do I have left?", prompt: "What Motoring Club Benefits do I have left" },
-  { label: "Join the Motoring Club",       prompt: "Join loyalty", action: "loyalty" }
-];
+/* ====== Announcements & voice (accessible mode) ====== */
+// Screen readers hear finished replies, notices and errors through the #srStatus /
+// #srAlert live regions (the message list itself is silent, or every streamed word
+// would be read). In accessible mode, browsers with the Web Speech APIs also get
+// push-to-talk dictation and read-aloud; the controls stay hidden elsewhere.
+function announce(text, { urgent = false } = {}) {
+  const region = el(urgent ? "srAlert" : "srStatus");
+  if (!region || !text) return;
+  // Clear first so the same text twice is still read out
+  region.textContent = "";
+  setTimeout(() => { region.textContent = text; }, 50);
+}
 
-/* ====== Form loading (modular fragments) ====== */
-async function renderFormFragment(name) {
-  const url = `./forms/${name}.html`;
-  try {
-    const resp = await fetch(url, { cache: "no-store" });
-    if (!resp.ok) throw new Error(`Failed to load ${name} form (${resp.status})`);
-    const html = await resp.text();
-    const bubble = addMsg("assistant", html);
+/** What a bubble says, without footnote markers */
+function speechText(bubble) {
+  const copy = bubble.cloneNode(true);
+  copy.querySelectorAll("sup.fn-ref").forEach(n => n.remove());
+  return copy.textContent.replace(/\s+/g, " ").trim();
+}
 
-    const form = bubble.querySelector("form#tool-form");
-    if (!form) return;
+/** Assistant status / error bubble that is also announced */
+function addNotice(md, { urgent = false } = {}) {
+  const bubble = addMsg("assistant", mdToHtml(md));
+  announce(speechText(bubble), { urgent });
+  return bubble;
+}
 
-    const cancelBtn = form.querySelector("[data-cancel]");
-    if (cancelBtn) cancelBtn.addEventListener("click", () => bubble.closest(".msg")?.remove());
+const SPEECH_LANGS = { en: "en-GB", cy: "cy-GB" };
+const speechLang = () => SPEECH_LANGS[getLocale()] || getLocale();
+const CAN_SPEAK = typeof window.speechSynthesis !== "undefined" && typeof window.SpeechSynthesisUtterance === "function";
+const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition || null;
+document.documentElement.classList.toggle("can-speak", CAN_SPEAK);
+document.documentElement.classList.toggle("can-dictate", !!Recognition);
+const voiceOn = () => document.documentElement.classList.contains("a11y");
+
+// --- Read-aloud ---
+const READ_ALOUD_KEY = "halfordsReadAloud";
+let readAloud = localStorage.getItem(READ_ALOUD_KEY) === "1";
+let speaking = null; // { bubble } while a bubble is being read
+
+function speak(bubble) {
+  if (!CAN_SPEAK) return;
+  stopSpeaking();
+  const text = speechText(bubble);
+  if (!text) return;
+  const voice = speechSynthesis.getVoices().find(v => v.lang.toLowerCase().startsWith(getLocale()));
+  // Some engines give up on long utterances part-way, so queue sentence-sized chunks
+  const chunks = [];
+  for (const sentence of text.match(/[^.!?…]+[.!?…]*\s*/g) || [text]) {
+    if (chunks.length && chunks.at(-1).length + sentence.length < 200) chunks[chunks.length - 1] += sentence;
+    else chunks.push(sentence);
+  }
+  const session = speaking = { bubble };
+  chunks.forEach((chunk, i) => {
+    const u = new SpeechSynthesisUtterance(chunk.trim());
+    u.lang = speechLang();
+    if (voice) u.voice = voice;
+    if (i === chunks.length - 1) u.onend = u.onerror = () => { if (speaking === session) { speaking = null; labelSpeakButton(bubble); } };
+    speechSynthesis.speak(u);
+  });
+  bubble.dataset.spoken = "1";
+  labelSpeakButton(bubble);
+}
 
-    form.addEventListener("submit", (e) => {
-      e.preventDefault();
+function stopSpeaking() {
+  if (!CAN_SPEAK) return;
+  const was = speaking?.bubble;
+  speaking = null;
+  speechSynthesis.cancel();
+  if (was) labelSpeakButton(was);
+}
 
-      // Helper: get ALL fields, including unchecked checkboxes
-      const formData = new FormData(form);
-      const entries = Object.fromEntries(formData.entries());
-      const getBool = (n) => !!form.querySelector(`[name="${CSS.escape(n)}"]`)?.checked;
+// Read / stop / read again, next to the "Assistant" label
+function labelSpeakButton(bubble) {
+  const btn = bubble.previousElementSibling?.querySelector(".speak-btn");
+  if (!btn) return;
+  const active = speaking?.bubble === bubble;
+  const label = active ? t("voice.stop") : bubble.dataset.spoken ? t("voice.replay") : t("voice.readAloud");
+  btn.textContent = active ? "⏹" : bubble.dataset.spoken ? "↻" : "🔊";
+  btn.title = label;
+  btn.setAttribute("aria-label", label);
+}
 
-      // Disable inputs to avoid duplicate submits
-      form.querySelectorAll("input,button,select,textarea").forEach(n => n.disabled = true);
+function addSpeechControls(bubble) {
+  const meta = bubble.previousElementSibling;
+  if (!CAN_SPEAK || !meta?.classList.contains("meta") || meta.querySelector(".speak-btn")) return;
+  const btn = document.createElement("button");
+  btn.type = "button"; btn.className = "speak-btn voice-only";
+  btn.addEventListener("click", () => (speaking?.bubble === bubble ? stopSpeaking() : speak(bubble)));
+  meta.append(btn);
+  labelSpeakButton(bubble);
+}
 
-      if (name === "track-order") {
-        const { orderNumber = "", Email = "" } = entries;
-        addMsg("user", mdToHtml(`Where is my order?\n\n**orderNumber:** ${orderNumber}\n**Email:** ${Email}`));
-        sendMessage(`Where is my order? orderNumber: ${orderNumber}, Email: ${Email}`);
-      }
-      else if (name === "c2w-status") {
-        const { AgreementNumber = "" } = entries;
-        addMsg("user", mdToHtml(`Check my Cycle to Work status.\n\n**AgreementNumber:** ${AgreementNumber}`));
-        sendMessage(`Check my Cycle to Work status. AgreementNumber: ${AgreementNumber}`);
-      }
-else if (name === "loyalty-signup") {
-  // ----- Validation (only firstName + email required) -----
-  const ensureErrorEl = () => {
-    let el = form.querySelector(".mini-error");
-    if (!el) { el = document.createElement("div"); el.className = "mini-error"; form.appendChild(el); }
-    return el;
+/** A finished assistant (or colleague, by name) reply: read-aloud controls, then spoken or announced */
+function announceReply(bubble, { name = "" } = {}) {
+  addSpeechControls(bubble);
+  if (readAloud && voiceOn() && CAN_SPEAK) speak(bubble);
+  else announce(name ? t("announce.colleague", { name, text: speechText(bubble) }) : t("announce.reply", { text: speechText(bubble) }));
+}
+
+function labelReadAloudToggle() {
+  const btn = el("readAloudToggle");
+  if (!btn) return;
+  const label = readAloud ? t("voice.autoReadOn") : t("voice.autoReadOff");
+  btn.setAttribute("aria-pressed", String(readAloud));
+  btn.title = label;
+  btn.setAttribute("aria-label", label);
+}
+labelReadAloudToggle();
+el("readAloudToggle")?.addEventListener("click", () => {
+  readAloud = !readAloud;
+  localStorage.setItem(READ_ALOUD_KEY, readAloud ? "1" : "0");
+  if (!readAloud) stopSpeaking();
+  labelReadAloudToggle();
+});
+
+// --- Dictation: hold the mic button to talk, or tap it to start and tap again to stop ---
+const HOLD_MS = 350;
+let dictation = null; // { rec, discard } while listening
+let micPressedAt = 0;
+
+function labelMic() {
+  const $mic = el("micBtn");
+  if (!$mic) return;
+  $mic.classList.toggle("listening", !!dictation);
+  $mic.setAttribute("aria-pressed", String(!!dictation));
+}
+
+function startDictation() {
+  const $text = el("userText");
+  if (!Recognition || dictation || sending || !$text) return;
+  const rec = new Recognition();
+  rec.lang = speechLang();
+  rec.continuous = true;
+  rec.interimResults = true;
+  // Dictated words go after whatever was already typed
+  const before = $text.value ? $text.value.replace(/\s*$/, " ") : "";
+  const session = dictation = { rec, discard: false };
+  rec.onresult = (e) => {
+    if (session.discard) return;
+    $text.value = before + Array.from(e.results, r => r[0].transcript).join("").trimStart();
   };
-  const errEl = ensureErrorEl(); errEl.textContent = "";
-
-  const firstName = (entries.firstName || "").trim();
-  const emailRaw  = (entries.emailAddress || "").trim();
-  const emailOk   = !emailRaw || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(emailRaw);
-
-  const errors = [];
-  if (!firstName) errors.push("First name is required.");
-  if (!emailRaw) errors.push("Email is required.");
-  else if (!emailOk) errors.push("Please enter a valid email address.");
-  if (errors.length) { errEl.textContent = errors.join(" "); return; }
-
-  // ----- Normalisers -----
-  const trim = v => (v ?? "").toString().trim();
-  const normUpperSpaced = v => trim(v).toUpperCase().replace(/\s+/g, " ");
-  const normPostcode = v => {
-    const s = trim(v).toUpperCase().replace(/\s+/g, "");
-    return s.length >= 5 ? s.slice(0, -3) + " " + s.slice(-3) : s;
+  rec.onerror = (e) => {
+    if (e.error === "aborted") return;
+    const key = e.error === "not-allowed" || e.error === "service-not-allowed" ? "voice.micBlocked" : e.error === "no-speech" ? "voice.noSpeech" : "voice.failed";
+    announce(t(key), { urgent: true });
   };
-  const normMileage = v => {
-    const n = parseInt(String(v ?? "").replace(/[^\d]/g, ""), 10);
-    return Number.isFinite(n) ? String(n) : "";
+  rec.onend = () => {
+    if (dictation === session) dictation = null;
+    labelMic();
+    if (!session.discard) { announce(t("voice.stoppedListening")); $text.focus(); }
   };
+  try { rec.start(); }
+  catch { dictation = null; announce(t("voice.failed"), { urgent: true }); return; }
+  stopSpeaking();
+  labelMic();
+  announce(t("voice.listening"));
+}
+
+function stopDictation() { dictation?.rec.stop(); }
+
+// Drop what's still being recognised (message sent, language changed, accessible mode off)
+function cancelDictation() {
+  if (!dictation) return;
+  dictation.discard = true;
+  dictation.rec.abort();
+}
 
-  // ----- Build payload -----
-  const payload = {
-    title: trim(entries.title),
-    firstName,
-    lastName: trim(entries.lastName),
-    address: {
-      addressLine1: trim(entries["address.addressLine1"]),
-      addressLine2: trim(entries["address.addressLine2"]),
-      addressLine3: trim(entries["address.addressLine3"]),
-      addressLine4: trim(entries["address.addressLine4"]),
-      addressLine5: trim(entries["address.addressLine5"]),
-      addressPostcode: normPostcode(entries["address.addressPostcode"])
-    },
-    emailAddress: emailRaw.toLowerCase(),
-    phoneNumber: trim(entries.phoneNumber),
-    groupMarketing: {
-      emailConsent:  getBool("groupMarketing.emailConsent"),
-      smsConsent:    getBool("groupMarketing.smsConsent"),
-      phoneConsent:  getBool("groupMarketing.phoneConsent"),
-      directConsent: getBool("groupMarketing.directConsent")
-    },
-    vrn: normUpperSpaced(entries.vrn),
-    mileage: normMileage(entries.mileage)
+function stopVoice() { cancelDictation(); stopSpeaking(); }
+
+const $mic = el("micBtn");
+if ($mic && Recognition) {
+  const press = () => {
+    if (dictation) { stopDictation(); micPressedAt = 0; return; }
+    micPressedAt = Date.now();
+    startDictation();
+  };
+  // A long press is push-to-talk, so letting go stops; a tap leaves it listening
+  const release = () => {
+    if (micPressedAt && Date.now() - micPressedAt > HOLD_MS) stopDictation();
+    micPressedAt = 0;
   };
+  $mic.addEventListener("pointerdown", (e) => { if (e.button === 0) { e.preventDefault(); press(); } });
+  $mic.addEventListener("pointerup", release);
+  $mic.addEventListener("pointercancel", release);
+  $mic.addEventListener("keydown", (e) => {
+    if ((e.key === " " || e.key === "Enter") && !e.repeat) { e.preventDefault(); press(); }
+  });
+  $mic.addEventListener("keyup", (e) => { if (e.key === " " || e.key === "Enter") release(); });
+}
 
-  // ----- Send to the agent (no JSON echo to user) -----
-  // If you want a tiny visual ack, uncomment the next line:
-  // addMsg("assistant", mdToHtml("Thanks — sending your loyalty sign-up now…"));
-  sendMessage(`LOYALTY_SIGNUP payload: ${JSON.stringify(payload)}`);
+/* ====== Suggestions for /newChat (optional) ====== */
+// Label and prompt are "quick.<key>.label" / ".prompt" in the locale catalogues
+const DEFAULT_SUGGESTIONS = [
+  { key: "trackOrder", action: "wimo" },
+  { key: "findStore" },
+  { key: "chooseBike" },
+  { key: "c2w", action: "c2w" },
+  { key: "bikeService" },
+  { key: "clubBenefits" },
+  { key: "joinClub", action: "loyalty" },
+  { key: "human", action: "handoff" }
+];
 
-  // Remove the form bubble
-  bubble.closest(".msg")?.remove();
+// An embedding page's data-quick-actions replace the defaults
+function embedSuggestions() {
+  let list;
+  try { list = JSON.parse(EMBED?.get("actions") || "null"); } catch { return null; }
+  if (!Array.isArray(list)) return null;
+  const out = list
+    .filter(s => s && typeof s.label === "string" && s.label.trim())
+    .map(s => ({ label: s.label.trim(), prompt: String(s.prompt || s.label).trim(), action: s.action ? String(s.action) : undefined }));
+  return out.length ? out : null;
+}
+const CUSTOM_SUGGESTIONS = embedSuggestions();
+
+// Chips in the current language; the English label stays the routing topic so
+// profile routing doesn't depend on the visitor's language
+function suggestions() {
+  return CUSTOM_SUGGESTIONS || DEFAULT_SUGGESTIONS.map(s => ({
+    label: t(`quick.${s.key}.label`),
+    prompt: t(`quick.${s.key}.prompt`),
+    action: s.action,
+    topic: s.action ? undefined : translate("en", `quick.${s.key}.label`)
+  }));
 }
 
-    });
-  } catch (e) {
-    addMsg("assistant", mdToHtml(`**Sorry — couldn't load the form.**\n\n${e.message}`));
+/* ====== Form rendering (JSON definitions) ====== */
+// "{{field}}" → submitted value (for echo bubbles)
+const fillTemplate = (tpl, data) => String(tpl).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => data[key] ?? "");
+
+const INPUT_TYPES = { email: "email", tel: "tel", number: "number" };
+
+function fieldHtml(f, idPrefix) {
+  const id = `${idPrefix}-${f.name.replace(/[^a-z0-9]+/gi, "-")}`;
+  const attrs = [
+    `name="${escapeHtml(f.name)}"`, `id="${id}"`,
+    f.required ? "required" : "",
+    f.maxLength ? `maxlength="${Number(f.maxLength)}"` : "",
+    f.placeholder ? `placeholder="${escapeHtml(f.placeholder)}"` : ""
+  ].filter(Boolean).join(" ");
+  const label = escapeHtml(f.label || f.name);
+
+  if (f.type === "checkbox") return `<label><input type="checkbox" ${attrs}> ${label}</label>`;
+  let control;
+  if (f.type === "select") {
+    const opts = (f.options || []).map(o => {
+      const value = typeof o === "object" ? o.value : o;
+      const text = typeof o === "object" ? (o.label ?? o.value) : o;
+      return `<option value="${escapeHtml(value)}">${escapeHtml(text)}</option>`;
+    }).join("");
+    control = `<select ${attrs}><option value="">${escapeHtml(t("form.select"))}</option>${opts}</select>`;
+  } else if (f.type === "textarea") {
+    control = `<textarea rows="3" ${attrs}></textarea>`;
+  } else {
+    const type = INPUT_TYPES[f.type] || "text";
+    control = `<input type="${type}" ${type === "number" ? `inputmode="numeric" ` : ""}${attrs}>`;
   }
+  return `<div class="mini-row"><label for="${id}">${label}</label>${control}</div>`;
+}
+
+/** Build the mini-form markup; consecutive fields sharing a group go in one fieldset */
+function formHtml(def) {
+  const idPrefix = `f${Date.now().toString(36)}`;
+  const parts = [];
+  for (let i = 0; i < def.fields.length; i++) {
+    const group = def.fields[i].group;
+    if (!group) { parts.push(fieldHtml(def.fields[i], idPrefix)); continue; }
+    const members = [];
+    while (i < def.fields.length && def.fields[i].group === group) members.push(def.fields[i++]);
+    i--;
+    parts.push(`<fieldset class="mini-row mini-group"><legend class="mini-hint">${escapeHtml(group)}</legend>${members.map(f => fieldHtml(f, idPrefix)).join("")}</fieldset>`);
+  }
+  return `
+    <form class="mini-form" aria-label="${escapeHtml(def.title || def.name)}" novalidate>
+      <strong>${escapeHtml(def.title || def.name)}</strong>
+      ${def.intro ? `<div class="mini-hint">${escapeHtml(def.intro)}</div>` : ""}
+      ${parts.join("")}
+      <div class="mini-actions">
+        <button class="mini-send" type="submit">${escapeHtml(def.submitLabel || t("form.send"))}</button>
+        <button class="mini-cancel" type="button" data-cancel>${escapeHtml(def.cancelLabel || t("form.cancel"))}</button>
+      </div>
+      ${def.hint ? `<div class="mini-hint">${escapeHtml(def.hint)}</div>` : ""}
+    </form>`;
+}
+
+/** Every named control as { name: value }, checkboxes as booleans */
+function collectFormData(form) {
+  const data = {};
+  for (const n of form.elements) {
+    if (!n.name || n.type === "submit" || n.type === "button") continue;
+    data[n.name] = n.type === "checkbox" ? n.checked : n.value;
+  }
+  return data;
+}
+
+function clearFieldErrors(form) {
+  form.querySelectorAll(".field-error").forEach(n => n.remove());
+  form.querySelectorAll("[aria-invalid]").forEach(n => { n.removeAttribute("aria-invalid"); n.removeAttribute("aria-describedby"); });
+  const errEl = form.querySelector(".mini-error"); if (errEl) errEl.textContent = "";
+}
+
+/** Field-level messages under each input, summary in .mini-error */
+function showFieldErrors(form, fieldErrors = {}, message = "") {
+  let first = null;
+  for (const [name, msg] of Object.entries(fieldErrors)) {
+    const input = form.querySelector(`[name="${CSS.escape(name)}"]`);
+    if (!input) continue;
+    const id = `err-${name.replace(/[^a-z0-9]+/gi, "-")}`;
+    const note = document.createElement("div");
+    note.className = "field-error"; note.id = id; note.textContent = msg;
+    input.setAttribute("aria-invalid", "true");
+    input.setAttribute("aria-describedby", id);
+    input.insertAdjacentElement("afterend", note);
+    first ||= input;
+  }
+  let errEl = form.querySelector(".mini-error");
+  if (!errEl) { errEl = document.createElement("div"); errEl.className = "mini-error"; form.appendChild(errEl); }
+  errEl.textContent = message;
+  // Summary plus each field's problem, since focus only lands on the first
+  announce([message, ...Object.values(fieldErrors)].filter(Boolean).join(" "), { urgent: true });
+  first?.focus();
+}
+
+function renderForm(def) {
+  const bubble = addMsg("assistant", formHtml(def));
+  const form = bubble.querySelector("form.mini-form");
+  announce(t("announce.form", { title: def.title || def.name }));
+
+  form.querySelector("[data-cancel]")?.addEventListener("click", () => bubble.closest(".msg")?.remove());
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (sending) return;
+
+    const data = collectFormData(form);
+    const controls = form.querySelectorAll("input,button,select,textarea");
+    clearFieldErrors(form);
+    // Disable inputs to avoid duplicate submits
+    controls.forEach(n => n.disabled = true);
+
+    submitForm(def.name, data, {
+      label: def.title || def.name,
+      onAccepted: () => {
+        if (def.echo) addMsg("user", mdToHtml(fillTemplate(def.echo, data)));
+        else bubble.closest(".msg")?.remove(); // nothing to echo: the form just goes
+      },
+      onInvalid: (fieldErrors, message) => {
+        controls.forEach(n => n.disabled = false);
+        showFieldErrors(form, fieldErrors, message);
+      }
+    });
+  });
+  form.querySelector("input,select,textarea")?.focus();
 }
 
 
 /* ====== Networking (proxy wrappers) ====== */
-function headerBag(h){ return {'apim-request-id': h.get('apim-request-id')||h.get('x-apim-request-id')||null,'x-ms-request-id': h.get('x-ms-request-id')||null,'x-ms-correlation-request-id': h.get('x-ms-correlation-request-id')||null}; }
+function headerBag(h){ return {'x-request-id': h.get('x-request-id')||null,'apim-request-id': h.get('apim-request-id')||h.get('x-apim-request-id')||null,'x-ms-request-id': h.get('x-ms-request-id')||null,'x-ms-correlation-request-id': h.get('x-ms-correlation-request-id')||null}; }
+// The proxy's id for a failed request: quoted to support to find it in the logs
+const requestIdOf = (res, data) => data?.error?.requestId || res.headers.get('x-request-id') || null;
+// Seconds until a rate-limited request may be retried (429s)
+const retryAfterOf = (res, data) => Number(res.headers.get("Retry-After")) || data?.error?.retryAfter || null;
 async function fetchJSON(url, opts = {}, tag='req') {
   const started = performance.now(); log(`➡️ ${tag.toUpperCase()} ${url}`);
-  let res, text; try { res = await fetch(url, opts); } catch (e) { log(`❌ Network error: ${e.message||e}`); throw e; }
+  // Accept-Language picks the proxy's message and form language
+  let res, text; try { res = await fetch(url, { credentials: "include", ...opts, headers: { "Accept-Language": getLocale(), ...opts.headers } }); } catch (e) { log(`❌ Network error: ${e.message||e}`); throw e; }
   log(`⬅️ ${tag.toUpperCase()} status=${res.status} ${res.statusText} (${Math.round(performance.now()-started)} ms) headers=${JSON.stringify(headerBag(res.headers))}`);
   try { text = await res.text(); } catch (e) { log(`⚠️ read body failed: ${e.message||e}`); throw e; }
   let data; try { data = text ? JSON.parse(text) : {}; } catch { data = { raw: text }; }
   log(`📦 ${tag.toUpperCase()} body: ${(text && text.length>2000)? text.slice(0,2000)+'…' : (text||'(empty)')}`);
-  if (!res.ok) { const msg = data?.error?.message || data?.message || res.statusText; const err = new Error(msg); err.status = res.status; err.response = data; throw err; }
+  if (!res.ok) { const msg = data?.error?.message || data?.message || res.statusText; const err = new Error(msg); err.status = res.status; err.response = data; err.fields = data?.error?.fields || null; err.requestId = requestIdOf(res, data); err.retryAfter = retryAfterOf(res, data); err.guardrail = data?.error?.guardrail || null; throw err; }
   return data;
 }
-async function createThreadAndRun(firstText) {
-  const payload = { assistant_id: ASSISTANT_ID, thread: { messages: [{ role: "user", content: firstText }] } };
-  return fetchJSON(`${PROXY_BASE}/threads-runs`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ projectEndpoint: PROJECT_ENDPOINT, payload }) }, "threads-runs");
+// Routing hints for requests that may start a conversation (threads keep their assistant)
+const routing = () => threadId ? {} : { profile: CHAT_PROFILE, channel: CHAT_CHANNEL, page: CHAT_PAGE, topic: pendingTopic || undefined };
+async function createThreadAndRun(firstText, attachments = []) {
+  const payload = { thread: { messages: [{ role: "user", content: firstText }] } };
+  return fetchJSON(`${PROXY_BASE}/threads-runs`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ payload, attachments, ...routing() }) }, "threads-runs");
+}
+async function appendMessage(text, attachments = []) {
+  return fetchJSON(`${PROXY_BASE}/append-message`, { method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify({ threadId, role:"user", content: text, attachments }) }, "append-message");
 }
-async function appendMessage(text) {
-  return fetchJSON(`${PROXY_BASE}/append-message`, { method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify({ projectEndpoint: PROJECT_ENDPOINT, threadId, role:"user", content: text }) }, "append-message");
+async function uploadFile(file) {
+  const where = new URLSearchParams(Object.entries(threadId ? { threadId } : routing()).filter(([, v]) => v));
+  return fetchJSON(`${PROXY_BASE}/uploads?${where}`, { method: "POST", headers: { "Content-Type": file.type, "X-File-Name": encodeURIComponent(file.name || "attachment") }, body: file }, "upload");
 }
+const fileUrl = (fileId) => `${PROXY_BASE}/files/${encodeURIComponent(fileId)}?threadId=${encodeURIComponent(threadId || "")}`;
 async function startRun() {
-  return fetchJSON(`${PROXY_BASE}/start-run`, { method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify({ projectEndpoint: PROJECT_ENDPOINT, threadId, assistantId: ASSISTANT_ID }) }, "start-run");
+  return fetchJSON(`${PROXY_BASE}/start-run`, { method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify({ threadId }) }, "start-run");
+}
+async function cancelRun(runId) {
+  return fetchJSON(`${PROXY_BASE}/cancel-run`, { method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify({ threadId, runId }) }, "cancel-run");
 }
 async function getRun(runId) {
-  return fetchJSON(`${PROXY_BASE}/run-status?` + new URLSearchParams({ projectEndpoint: PROJECT_ENDPOINT, threadId, runId }), {}, "run-status");
+  return fetchJSON(`${PROXY_BASE}/run-status?` + new URLSearchParams({ threadId, runId }), {}, "run-status");
 }
 async function listThreadMessages() {
-  return fetchJSON(`${PROXY_BASE}/messages?` + new URLSearchParams({ projectEndpoint: PROJECT_ENDPOINT, threadId }), {}, "messages");
+  return fetchJSON(`${PROXY_BASE}/messages?` + new URLSearchParams({ threadId }), {}, "messages");
+}
+
+async function listAllThreadMessages(id = threadId) {
+  return fetchJSON(`${PROXY_BASE}/messages?` + new URLSearchParams({ threadId: id, all: "1" }), {}, "messages-all");
+}
+async function postForm(form) {
+  return fetchJSON(`${PROXY_BASE}/forms/${encodeURIComponent(form.name)}`, { method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify({ threadId, data: form.data, ...routing() }) }, "forms");
+}
+async function postFeedback({ messageId, rating, comment }) {
+  return fetchJSON(`${PROXY_BASE}/feedback`, { method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify({ threadId, messageId, rating, comment }) }, "feedback");
+}
+async function emailTranscript(email) {
+  return fetchJSON(`${PROXY_BASE}/transcript/email`, { method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify({ threadId, email }) }, "transcript-email");
+}
+async function listResumableThreads() {
+  return fetchJSON(`${PROXY_BASE}/threads`, {}, "threads");
+}
+
+/* ====== Streaming (SSE over fetch) ====== */
+// Yields { event, data } frames from /runs/stream (or /forms/:name for a form
+// turn). Throws with .streamUnavailable when the proxy can't stream at all, so
+// the caller can fall back to polling; onOpen fires once the proxy accepts.
+// Aborting `signal` drops the connection, which also stops the run upstream.
+async function* streamRun(text, { form = null, onOpen = null, attachments = [], signal } = {}) {
+  const url = form ? `${PROXY_BASE}/forms/${encodeURIComponent(form.name)}` : `${PROXY_BASE}/runs/stream`;
+  const started = performance.now(); log(`➡️ STREAM ${url}`);
+  const res = await fetch(url, {
+    method: "POST",
+    credentials: "include",
+    headers: { "Content-Type": "application/json", Accept: "text/event-stream", "Accept-Language": getLocale() },
+    body: JSON.stringify(form ? { threadId, data: form.data, ...routing() } : { threadId, text, attachments, ...routing() }),
+    signal
+  });
+  log(`⬅️ STREAM status=${res.status} ${res.statusText} (${Math.round(performance.now()-started)} ms) headers=${JSON.stringify(headerBag(res.headers))}`);
+
+  const type = res.headers.get("content-type") || "";
+  if (!res.ok || !res.body || !type.includes("text/event-stream")) {
+    let data = {}; try { data = await res.json(); } catch {}
+    const err = new Error(data?.error?.message || res.statusText || t("error.streamFailed"));
+    err.status = res.status; err.response = data; err.fields = data?.error?.fields || null; err.requestId = requestIdOf(res, data); err.retryAfter = retryAfterOf(res, data); err.guardrail = data?.error?.guardrail || null;
+    // proxy errors carry { error }; anything else means no streaming route here
+    err.streamUnavailable = res.ok || res.status === 405 || (res.status === 404 && !data?.error);
+    throw err;
+  }
+  onOpen?.();
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true }).replace(/\r\n?/g, "\n");
+    let idx;
+    while ((idx = buf.indexOf("\n\n")) !== -1) {
+      const frame = buf.slice(0, idx); buf = buf.slice(idx + 2);
+      let event = "message"; const lines = [];
+      for (const line of frame.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) lines.push(line.slice(5).replace(/^ /, ""));
+      }
+      if (!lines.length) continue;
+      let data; try { data = JSON.parse(lines.join("\n")); } catch { continue; }
+      yield { event, data };
+    }
+  }
+}
+
+/* ====== Conversation history (per browser) ====== */
+const HISTORY_KEY = "halfordsThreads";
+const HISTORY_MAX = 10;
+
+/** { active: threadId|null, recent: [{ id, title, updatedAt }] } */
+function loadHistory() {
+  try {
+    const h = JSON.parse(localStorage.getItem(HISTORY_KEY) || "{}");
+    return { active: h.active || null, recent: Array.isArray(h.recent) ? h.recent : [] };
+  } catch { return { active: null, recent: [] }; }
+}
+function saveHistory(h) { try { localStorage.setItem(HISTORY_KEY, JSON.stringify(h)); } catch {} }
+
+/** Short label from the first user message (first sentence, no form payloads) */
+function threadTitle(text = "") {
+  if (/^LOYALTY_SIGNUP\b/i.test(text)) return t("history.loyaltySignup");
+  const flat = String(text).replace(/\s+/g, " ").trim();
+  const sentence = flat.match(/^.{1,60}?[?.!](?=\s|$)/);
+  if (sentence) return sentence[0];
+  return flat.length > 60 ? flat.slice(0, 60) + "…" : (flat || t("history.untitled"));
+}
+
+/** Mark a thread active and move it to the top of the recent list */
+function rememberThread(id, firstText = "") {
+  if (!id) return;
+  const h = loadHistory();
+  const title = h.recent.find(t => t.id === id)?.title || threadTitle(firstText);
+  h.recent = [{ id, title, updatedAt: Date.now() }, ...h.recent.filter(t => t.id !== id)].slice(0, HISTORY_MAX);
+  h.active = id;
+  saveHistory(h);
+}
+function forgetThread(id) {
+  const h = loadHistory();
+  h.recent = h.recent.filter(t => t.id !== id);
+  if (h.active === id) h.active = null;
+  saveHistory(h);
+}
+function clearActiveThread() {
+  const h = loadHistory(); h.active = null; saveHistory(h);
+}
+
+/* ====== Attachments ====== */
+// Mirrors the proxy's limits so most mistakes are caught before uploading
+const ATTACH_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp", "application/pdf"];
+const ATTACH_MAX_BYTES = 10 * 1024 * 1024;
+const ATTACH_MAX_FILES = 4;
+let attachments = []; // { key, name, kind, previewUrl, status: "uploading" | "ready" | "error", id, error, done }
+let attachNote = "";
+
+const hasAttachments = () => attachments.length > 0;
+
+function addFiles(fileList) {
+  if (handoff) return; // colleagues only get text
+  attachNote = "";
+  for (const file of Array.from(fileList || [])) {
+    if (attachments.length >= ATTACH_MAX_FILES) { attachNote = t("attach.tooMany", { max: ATTACH_MAX_FILES }); break; }
+    if (!ATTACH_TYPES.includes(file.type)) { attachNote = t("attach.badType", { name: file.name || t("attach.thatFile") }); continue; }
+    if (file.size > ATTACH_MAX_BYTES) { attachNote = t("attach.tooBig", { name: file.name, max: ATTACH_MAX_BYTES / 1048576 }); continue; }
+    const kind = file.type.startsWith("image/") ? "image" : "document";
+    const a = {
+      key: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      name: file.name || (kind === "image" ? t("attach.pastedImage") : t("attach.document")),
+      kind,
+      previewUrl: kind === "image" ? URL.createObjectURL(file) : null,
+      status: "uploading"
+    };
+    a.done = uploadFile(file)
+      .then(r => { a.id = r.id; a.status = "ready"; })
+      .catch(e => { a.status = "error"; a.error = e.message || t("attach.uploadFailed"); })
+      .finally(renderAttachmentTray);
+    attachments.push(a);
+  }
+  renderAttachmentTray();
+}
+
+function removeAttachment(key) {
+  const a = attachments.find(x => x.key === key);
+  if (a?.previewUrl) URL.revokeObjectURL(a.previewUrl);
+  attachments = attachments.filter(x => x.key !== key);
+  attachNote = "";
+  renderAttachmentTray();
+}
+
+// Hand the tray's files to a message: waits for uploads, drops failures
+async function takeAttachments() {
+  const pending = attachments;
+  attachments = []; attachNote = "";
+  renderAttachmentTray();
+  await Promise.all(pending.map(a => a.done));
+  const failed = pending.filter(a => a.status !== "ready");
+  if (failed.length) addNotice(t("attach.couldNotAttach", { names: failed.map(a => a.name).join(", "), error: failed[0].error || "" }), { urgent: true });
+  return pending.filter(a => a.status === "ready");
+}
+
+function renderAttachmentTray() {
+  const tray = el("attachmentTray");
+  if (!tray) return;
+  tray.innerHTML = attachments.map(a => `
+    <div class="attach-chip ${a.status}" title="${escapeHtml(a.error || a.name)}">
+      ${a.previewUrl ? `<img src="${a.previewUrl}" alt="">` : `<span class="attach-icon" aria-hidden="true">📄</span>`}
+      <span class="attach-name">${escapeHtml(a.name)}</span>
+      <span class="attach-status">${a.status === "uploading" ? t("attach.uploading") : a.status === "error" ? t("attach.failed") : ""}</span>
+      <button type="button" class="attach-remove" data-remove="${a.key}" aria-label="${escapeHtml(t("attach.remove", { name: a.name }))}">×</button>
+    </div>`).join("") + (attachNote ? `<div class="attach-note" role="alert">${escapeHtml(attachNote)}</div>` : "");
+  tray.hidden = !attachments.length && !attachNote;
+}
+
+/** User bubble: text plus thumbnails / document names of what was attached */
+function userBubbleHtml(text, files = []) {
+  const list = files.map(f => f.kind === "image" && f.previewUrl
+    ? `<img class="attach-thumb" src="${f.previewUrl}" alt="${escapeHtml(f.name)}">`
+    : `<span class="attach-doc">📄 ${escapeHtml(f.name)}</span>`).join("");
+  return (text.trim() ? mdToHtml(text) : "") + (list ? `<div class="attach-list">${list}</div>` : "");
+}
+
+/* ====== Human hand-off ====== */
+// Once the agent (or the "Talk to a person" chip) hands the conversation to a
+// colleague, messages go to them over a WebSocket instead of starting runs,
+// their replies get their own bubbles, and the bar above the composer says
+// who has the conversation. When they hand back, the agent answers again.
+let handoff = null; // { id, status, position, colleague, socket, seen, echoes, retries } while a colleague has (or will take) the chat
+
+const handoffSocketUrl = (id) => `${PROXY_BASE.replace(/^http/i, "ws")}/handoff/socket?id=${encodeURIComponent(id)}`;
+async function postHandoff(reason) {
+  return fetchJSON(`${PROXY_BASE}/handoff`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ threadId, reason, ...routing() }) }, "handoff");
+}
+async function getHandoff() {
+  return fetchJSON(`${PROXY_BASE}/handoff?` + new URLSearchParams(threadId ? { threadId } : {}), {}, "handoff");
+}
+
+// "Talk to a person"
+async function requestHandoff(reason) {
+  if (handoff || sending) return;
+  try {
+    const { handoff: h } = await postHandoff(reason);
+    enterHandoff(h);
+    if (handoff) addNotice(t("handoff.queued", { n: h.position }));
+  } catch (e) {
+    addNotice(t("handoff.failed", { message: e.message || String(e) }), { urgent: true });
+  }
+}
+
+// Rejoin one the proxy says is still open (resume, or another tab started it)
+async function checkHandoff() {
+  try { enterHandoff((await getHandoff())?.handoff); }
+  catch (e) { log(`⚠️ couldn't check for a hand-off: ${e.message || e}`); }
+}
+
+function enterHandoff(h) {
+  if (!h || h.status === "closed" || handoff?.id === h.id) return;
+  detachHandoff();
+  handoff = { id: h.id, status: h.status, position: h.position, colleague: h.colleague, socket: null, seen: 0, echoes: 0, retries: 0 };
+  log(`🙋 hand-off ${h.id} ${h.status}`);
+  renderHandoffBar();
+  connectHandoff();
+}
+
+function connectHandoff() {
+  const h = handoff;
+  const ws = h.socket = new WebSocket(handoffSocketUrl(h.id));
+  ws.addEventListener("message", (e) => {
+    let frame; try { frame = JSON.parse(e.data); } catch { return; }
+    if (handoff !== h) return;
+    h.retries = 0;
+    if (frame.type === "state") {
+      // The first state after (re)connecting carries everything said so far
+      (frame.messages || []).slice(h.seen).forEach(showHandoffMessage);
+      updateHandoff(frame.handoff, frame.reason);
+    } else if (frame.type === "message") {
+      showHandoffMessage(frame.message);
+    } else if (frame.type === "error") {
+      addNotice(frame.message || t("error.stream"), { urgent: true });
+    }
+  });
+  ws.addEventListener("close", () => { if (handoff === h && h.socket === ws) reconnectHandoff(h); });
+}
+
+// Dropped connection: back off, then rejoin unless it was handed back meanwhile
+async function reconnectHandoff(h) {
+  if (!h.retries) addNotice(t("handoff.reconnecting"));
+  await new Promise(r => setTimeout(r, Math.min(1000 * 2 ** h.retries++, 15000)));
+  if (handoff !== h) return;
+  try {
+    const current = (await getHandoff())?.handoff;
+    if (handoff !== h) return;
+    if (current?.id === h.id) connectHandoff(); else finishHandoff("released");
+  } catch { reconnectHandoff(h); }
+}
+
+function updateHandoff(view = {}, reason) {
+  const h = handoff;
+  const before = { status: h.status, colleague: h.colleague };
+  Object.assign(h, { status: view.status, position: view.position, colleague: view.colleague });
+  if (h.status === "closed") { finishHandoff(reason); return; }
+  if (h.status === "active" && (before.status !== "active" || before.colleague !== h.colleague)) addNotice(t("handoff.joined", { name: h.colleague }));
+  if (h.status === "waiting" && before.status === "active") addNotice(t("handoff.requeued", { name: before.colleague }));
+  renderHandoffBar();
 }
 
+function showHandoffMessage(m) {
+  handoff.seen++;
+  if (m.from === "customer") {
+    // Our own message coming back: already on screen
+    if (handoff.echoes > 0) { handoff.echoes--; return; }
+    addMsg("user", userBubbleHtml(m.text));
+    return;
+  }
+  announceReply(addMsg("colleague", mdToHtml(m.text), { name: m.name }), { name: m.name });
+}
+
+/** → false when the socket is down (the text stays in the composer) */
+function sendToColleague(text) {
+  const ws = handoff.socket;
+  if (ws?.readyState !== WebSocket.OPEN) { addNotice(t("handoff.reconnecting"), { urgent: true }); return false; }
+  ws.send(JSON.stringify({ type: "message", text }));
+  handoff.echoes++;
+  addMsg("user", userBubbleHtml(text));
+  return true;
+}
+
+// Stop listening without ending it (switching to another conversation)
+function detachHandoff() {
+  const h = handoff;
+  if (!h) return;
+  handoff = null;
+  h.socket?.close();
+  renderHandoffBar();
+}
+
+// "Back to the assistant" / New chat: tell the colleague we've gone
+function leaveHandoff() {
+  if (handoff?.socket?.readyState === WebSocket.OPEN) handoff.socket.send(JSON.stringify({ type: "cancel" }));
+  detachHandoff();
+}
+
+function finishHandoff(reason) {
+  detachHandoff();
+  addNotice(reason === "cancelled" ? t("handoff.cancelled") : t("handoff.released"));
+}
+
+function renderHandoffBar() {
+  const $attach = el("attachBtn"); if ($attach) $attach.disabled = !!handoff;
+  const $bar = el("handoffBar");
+  if (!$bar) return;
+  $bar.hidden = !handoff;
+  if (handoff) el("handoffText").textContent = handoff.status === "active" ? t("handoff.active", { name: handoff.colleague }) : t("handoff.waiting", { n: handoff.position });
+}
+el("handoffLeave")?.addEventListener("click", () => {
+  if (handoff?.socket?.readyState === WebSocket.OPEN) handoff.socket.send(JSON.stringify({ type: "cancel" }));
+  else finishHandoff("cancelled");
+});
+
 /* ====== Chat flow ====== */
 function shouldSkipUserBubble(text) {
-  return /Where is my order\?/i.test(text)
-      || /Cycle\s*to\s*Work status/i.test(text)
-      || /^LOYALTY_SIGNUP\b/i.test(text)   // ← add this
-      || /^FEEDBACK\s*[1-5]\b/i.test(text);
+  return /^FEEDBACK\s*[1-5]\b/i.test(text);
 }
 
 async function sendMessage(text) {
-  if (!text.trim() || sending) return;
-  sending = true; const $send = el("send"); const $userText = el("userText");
-  if ($send) $send.disabled = true; if ($userText) $userText.disabled = true;
+  if (handoff) {
+    if (text.trim() && !sendToColleague(text.trim())) { const $text = el("userText"); if ($text && !$text.value) $text.value = text; }
+    return;
+  }
+  if (sending || (!text.trim() && !hasAttachments())) return;
+  const files = await takeAttachments();
+  if (!text.trim() && !files.length) return;
+  if (!shouldSkipUserBubble(text) || files.length) addMsg("user", userBubbleHtml(shouldSkipUserBubble(text) ? "" : text, files));
+  await runTurn({ text, attachments: files.map(f => f.id) });
+}
 
-  if (!shouldSkipUserBubble(text)) addMsg("user", mdToHtml(text));
-  showTyping();
+/**
+ * Submit a mini-form through /forms/:name (validated server-side).
+ * handlers.onAccepted runs once the proxy accepts the data; handlers.onInvalid
+ * gets ({ field: message }, summary) when it doesn't.
+ */
+async function submitForm(name, data, { label = name, onAccepted, onInvalid } = {}) {
+  if (sending) return;
+  await runTurn({ text: label, form: { name, data, onAccepted, onInvalid } });
+}
+
+// Shown in place of (or under) a reply that didn't finish
+function runEndNotice(status) {
+  if (status === "cancelled") return t("run.cancelled");
+  if (status === "expired") return t("run.expired");
+  return null;
+}
+
+// While a reply is on its way, Send becomes Stop; after a rate limit it counts down instead
+function setComposerBusy(busy) {
+  const $send = el("send"); const $userText = el("userText");
+  const wait = busy ? 0 : Math.ceil((coolDownUntil - Date.now()) / 1000);
+  if ($send) { $send.disabled = wait > 0; $send.textContent = busy ? t("composer.stop") : wait > 0 ? t("composer.wait", { n: wait }) : t("composer.send"); $send.classList.toggle("stop", busy); }
+  if ($userText) $userText.disabled = busy;
+}
+
+// The proxy said "not before Retry-After": hold Send until then
+let coolDownUntil = 0;
+let coolDownTimer = null;
+const coolingDown = () => Date.now() < coolDownUntil;
+function coolDown(seconds) {
+  if (!(seconds > 0)) return;
+  coolDownUntil = Math.max(coolDownUntil, Date.now() + seconds * 1000);
+  clearInterval(coolDownTimer);
+  coolDownTimer = setInterval(() => {
+    if (!coolingDown()) { clearInterval(coolDownTimer); coolDownTimer = null; }
+    if (!sending) setComposerBusy(false);
+  }, 1000);
+  if (!sending) setComposerBusy(false);
+}
+
+// Stop button: drop the stream / wake the poller; each path then cancels the run upstream
+function stopTurn() {
+  const turn = activeTurn;
+  if (!turn || turn.stopped) return;
+  turn.stopped = true;
+  const $send = el("send"); if ($send) { $send.disabled = true; $send.textContent = t("composer.stopping"); }
+  log("⏹️ stop requested");
+  turn.abort.abort();
+}
+
+// One user turn: streams when possible, polls otherwise
+async function runTurn({ text, form = null, attachments = [] }) {
+  sending = true;
+  const turn = activeTurn = { runId: null, stopped: false, abort: new AbortController() };
+  setComposerBusy(true);
+
+  // Chat turns show typing straight away; form turns only once the data is accepted
+  let accepted = !form;
+  const onOpen = () => { if (!accepted) { accepted = true; form.onAccepted?.(); showTyping(); } };
+  if (!form) showTyping();
 
   try {
-    let runId, status;
-    if (!threadId) {
-      const { thread, run } = await createThreadAndRun(text);
-      threadId = thread?.id || run?.thread_id; runId = run?.id; status = run?.status;
-    } else {
-      await appendMessage(text);
-      const run = await startRun();
-      runId = run?.id; status = run?.status;
+    if (USE_STREAMING) {
+      try { await sendStreaming(text, { form, onOpen, attachments, turn }); return; }
+      catch (e) {
+        if (!e.streamUnavailable) throw e;
+        log(`ℹ️ streaming unavailable (${e.status || "no body"}), falling back to polling`);
+      }
     }
-
-    const terminal = new Set(["completed","failed","cancelled","expired"]);
-    while (!terminal.has(status)) {
-      await new Promise(r => setTimeout(r, 1200));
-      const rstatus = await getRun(runId);
-      status = rstatus?.status;
-      if (status === "requires_action") break; // tool-calls not streamed in this UI
+    await sendPolling(text, { form, onOpen, attachments, turn });
+  } catch (e) {
+    hideTyping();
+    if (turn.stopped) { addNotice(runEndNotice("cancelled")); return; }
+    if (e.status === 429) coolDown(e.retryAfter);
+    if (form && !accepted) {
+      // Rejected before anything was sent on: let the form show it inline
+      form.onInvalid?.(e.fields || {}, e.message || String(e));
+      return;
+    }
+    if (e.status === 429 || e.guardrail) {
+      // Not sent (rate limit, or a guardrail blocked it): keep what they typed to send later or reword
+      const $text = el("userText");
+      if ($text && !$text.value && !form) $text.value = text;
+      addNotice(e.message || String(e));
+      return;
+    }
+    if (threadId && e.status === 409) {
+      // A colleague has the conversation (e.g. taken over in another tab): join it
+      addNotice(e.message || String(e));
+      checkHandoff();
+      return;
+    }
+    if (threadId && (e.status === 404 || e.status === 410)) {
+      // Thread expired or isn't ours any more: the next message starts a fresh one
+      forgetThread(threadId); threadId = null;
+      addNotice(t("error.threadGone", { message: e.message || "" }), { urgent: true });
+      return;
     }
+    const ref = e.requestId ? `\n\n${t("error.reference", { id: e.requestId })}` : "";
+    addNotice(t("error.generic", { message: e.message || String(e) }) + ref, { urgent: true });
+  } finally {
+    if (threadId) { rememberThread(threadId, text); pendingTopic = null; }
+    sending = false; activeTurn = null;
+    setComposerBusy(false); el("userText")?.focus();
+  }
+}
 
-    const list = await listThreadMessages();
-    hideTyping();
-    renderLatestAssistant(list);
+// Paint deltas into a single bubble as they arrive
+async function sendStreaming(text, { form = null, onOpen = null, attachments = [], turn } = {}) {
+  let bubble = null, raw = "", status = null, messageId = null, citations = [], handedOff = null;
+  const paint = () => {
+    if (!bubble) { hideTyping(); bubble = addMsg("assistant", ""); bubble.classList.add("streaming"); }
+    bubble.innerHTML = mdToHtml(stripFeedbackPrompt(raw).cleaned);
+  };
+  try {
+    for await (const { event, data } of streamRun(text, { form, onOpen, attachments, signal: turn.abort.signal })) {
+      if (event === "thread") { threadId = data.threadId || threadId; log(`🧵 thread ${threadId}`); }
+      else if (event === "message") { messageId = data.id || messageId; }
+      else if (event === "status") { status = data.status; turn.runId = data.runId || turn.runId; log(`⏱️ run ${data.runId} ${status}`); }
+      else if (event === "citations") { citations = data.citations || []; }
+      else if (event === "handoff") { handedOff = data; }
+      else if (event === "delta") { raw += data.text || ""; paint(); }
+      else if (event === "guardrail") { raw = data.text || ""; citations = []; paint(); }
+      else if (event === "image") { raw += `\n\n![Image](${fileUrl(data.fileId)})\n\n`; paint(); }
+      else if (event === "error") throw Object.assign(new Error(data.message || t("error.stream")), { requestId: data.requestId || null });
+      else if (event === "done") { status = data.status || status; break; }
+    }
   } catch (e) {
+    if (!turn.stopped) throw e;
+    status = "cancelled";
+    if (turn.runId) {
+      try { status = (await cancelRun(turn.runId))?.status || status; }
+      catch (err) { log(`⚠️ cancel-run failed: ${err.message || err}`); }
+    }
+    // Finished before the stop landed: show the whole reply rather than the partial one
+    if (status === "completed") { bubble?.closest(".msg")?.remove(); bubble = null; }
+  }
+
+  const notice = runEndNotice(status);
+  if (!bubble) {
     hideTyping();
-    addMsg("assistant", mdToHtml(`**Sorry — I hit an error:**\n\n${e.message || String(e)}`));
-  } finally {
-    sending = false; if ($send) $send.disabled = false; if ($userText) { $userText.disabled = false; $userText.focus(); }
+    if (notice) { addNotice(notice); return; }
+    // Nothing streamed (e.g. the run failed): show what the thread holds
+    renderLatestAssistant(await listThreadMessages());
+    enterHandoff(handedOff);
+    return;
   }
+
+  bubble.classList.remove("streaming");
+  const { cleaned, found } = stripFeedbackPrompt(raw);
+  if (cleaned) { bubble.innerHTML = mdToHtml(cleaned); renderFootnotes(bubble, citations); announceReply(bubble); }
+  else bubble.closest(".msg")?.remove();
+  if (found && !pendingFeedback) { pendingFeedback = true; renderFeedbackPrompt(messageId); }
+  if (notice) addNotice(notice);
+  enterHandoff(handedOff);
+}
+
+async function sendPolling(text, { form = null, onOpen = null, attachments = [], turn } = {}) {
+  let runId, status, handedOff = null;
+  if (form) {
+    const res = await postForm(form);
+    onOpen?.();
+    if (typeof res?.reply === "string") { hideTyping(); announceReply(addMsg("assistant", mdToHtml(res.reply))); return; }
+    threadId = res?.thread?.id || threadId; runId = res?.run?.id; status = res?.run?.status;
+  } else if (!threadId) {
+    const { thread, run } = await createThreadAndRun(text, attachments);
+    threadId = thread?.id || run?.thread_id; runId = run?.id; status = run?.status;
+    onOpen?.();
+  } else {
+    await appendMessage(text, attachments);
+    const run = await startRun();
+    runId = run?.id; status = run?.status;
+  }
+
+  turn.runId = runId;
+
+  // The proxy cancels runs that outlive its deadline, so this always ends
+  const terminal = new Set(["completed","failed","cancelled","expired","incomplete"]);
+  let cancelSent = false;
+  while (!terminal.has(status)) {
+    if (turn.stopped && !cancelSent) { cancelSent = true; status = (await cancelRun(runId))?.status; continue; }
+    await new Promise(r => {
+      const t = setTimeout(r, 1200);
+      turn.abort.signal.addEventListener("abort", () => { clearTimeout(t); r(); }, { once: true });
+    });
+    if (turn.stopped && !cancelSent) continue;
+    const rstatus = await getRun(runId);
+    status = rstatus?.status; // requires_action is resolved by the proxy's tool registry
+    handedOff = rstatus?.handoff || null;
+  }
+
+  hideTyping();
+  const notice = runEndNotice(status);
+  if (notice) { addNotice(notice); return; }
+  renderLatestAssistant(await listThreadMessages());
+  enterHandoff(handedOff);
 }
 
 
@@ -508,11 +1238,11 @@ function stripFeedbackPrompt(text = "") {
 
 function renderLatestAssistant(itemsParam) {
   const items = Array.isArray(itemsParam) ? itemsParam : (itemsParam?.data || []);
-  if (!items.length) { addMsg("assistant", mdToHtml("_No messages returned._")); return; }
+  if (!items.length) { addNotice(t("message.none")); return; }
 
   const sorted = items[0]?.created_at ? items.slice().sort((a,b)=> (b.created_at||0) - (a.created_at||0)) : items;
   const latestAssistant = sorted.find(m => String(m.role || "").toLowerCase() === "assistant");
-  if (!latestAssistant) { addMsg("assistant", mdToHtml("_No assistant response found._")); return; }
+  if (!latestAssistant) { addNotice(t("message.noAssistant")); return; }
 
   try { log("ℹ️ latest assistant message:", JSON.stringify(latestAssistant).slice(0, 2000)); } catch {}
 
@@ -521,25 +1251,39 @@ function renderLatestAssistant(itemsParam) {
   const raw = extractAssistantText(latestAssistant) || "";
   const { cleaned, found } = stripFeedbackPrompt(raw);
 
-  if (cleaned) addMsg("assistant", mdToHtml(cleaned));
-  if (found && !pendingFeedback) { pendingFeedback = true; renderFeedbackPrompt(); }
+  if (cleaned) {
+    const bubble = addMsg("assistant", mdToHtml(cleaned));
+    renderFootnotes(bubble, latestAssistant.citations);
+    announceReply(bubble);
+  }
+  if (found && !pendingFeedback) { pendingFeedback = true; renderFeedbackPrompt(latestAssistant.id); }
 }
 
-function renderFeedbackPrompt() {
+/** Stars + optional comment for one assistant message; stored via /feedback */
+function renderFeedbackPrompt(messageId = null) {
   const html = `
-    <form id="feedback-form" class="mini-form" aria-label="Provide feedback 1 to 5">
-      <strong>How was this answer?</strong>
-      <div class="rating" role="group" aria-label="Rate 1 to 5">
+    <form id="feedback-form" class="mini-form" aria-label="${escapeHtml(t("feedback.label"))}">
+      <strong>${escapeHtml(t("feedback.question"))}</strong>
+      <div class="rating" role="group" aria-label="${escapeHtml(t("feedback.rate"))}">
         ${[1,2,3,4,5].map(n =>
-          `<button type="button" class="star" data-val="${n}" aria-label="${n} star${n>1?'s':''}" title="${n}">★</button>`
+          `<button type="button" class="star" data-val="${n}" aria-label="${escapeHtml(tn("feedback.stars", n))}" title="${n}">★</button>`
         ).join("")}
       </div>
-      <div class="mini-hint">Tap a star (1 = poor, 5 = excellent)</div>
+      <div class="mini-hint">${escapeHtml(t("feedback.hint"))}</div>
+      <div class="mini-row" data-comment hidden>
+        <label for="feedback-comment">${escapeHtml(t("feedback.comment"))}</label>
+        <textarea id="feedback-comment" name="comment" maxlength="1000" rows="2"></textarea>
+      </div>
+      <div class="mini-actions" data-comment hidden>
+        <button class="mini-send" type="submit">${escapeHtml(t("feedback.send"))}</button>
+      </div>
+      <div class="mini-error" role="alert"></div>
     </form>`;
   const bubble = addMsg("assistant", html);
 
   const form = bubble.querySelector("#feedback-form");
   const stars = Array.from(form.querySelectorAll(".star"));
+  const errEl = form.querySelector(".mini-error");
   let selected = 0;
 
   const paint = (n, hover=false) => {
@@ -556,13 +1300,30 @@ function renderFeedbackPrompt() {
     btn.addEventListener("mouseleave", ()=>paint(selected,false));
     btn.addEventListener("focus", ()=>paint(val,true));
     btn.addEventListener("blur", ()=>paint(selected,false));
-    btn.addEventListener("click", async ()=>{
+    btn.addEventListener("click", ()=>{
       selected = val; paint(selected,false);
-      addMsg("user", mdToHtml(`Feedback: ${"★".repeat(selected)}${"☆".repeat(5-selected)} (${selected}/5)`));
-      await sendMessage(`FEEDBACK ${selected}`);
+      form.querySelectorAll("[data-comment]").forEach(n => n.hidden = false);
+      form.querySelector("textarea")?.focus();
+    });
+  });
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (!selected) return;
+    const comment = (form.querySelector("textarea")?.value || "").trim();
+    form.querySelectorAll("button,textarea").forEach(n => n.disabled = true);
+    errEl.textContent = "";
+    try {
+      const res = await postFeedback({ messageId, rating: selected, comment });
       form.closest(".msg")?.remove();
       pendingFeedback = false;
-    });
+      addMsg("user", mdToHtml(t("feedback.summary", { stars: "★".repeat(selected) + "☆".repeat(5-selected), n: selected }) + (comment ? `\n\n${comment}` : "")));
+      if (res?.notifyAgent) await sendMessage(`FEEDBACK ${selected}`);
+      else addNotice(t("feedback.thanks"));
+    } catch (err) {
+      form.querySelectorAll("button,textarea").forEach(n => n.disabled = false);
+      errEl.textContent = t("feedback.failed", { message: err.message || err });
+    }
   });
 }
 
@@ -572,6 +1333,10 @@ const $composer = el("composer");
 if ($composer) {
   $composer.addEventListener("submit", (ev) => {
     ev.preventDefault();
+    if (sending) { stopTurn(); return; }
+    if (!handoff && coolingDown()) return;
+    // Whatever was dictated so far is the message
+    stopVoice();
     const $userText = el("userText");
     const txt = ($userText?.value || "");
     if ($userText) $userText.value = "";
@@ -583,75 +1348,359 @@ if ($userText) {
   $userText.addEventListener("keydown", (e) => {
     if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); const $send = el("send"); if ($send) $send.click(); }
   });
+  // Pasted screenshots/photos become attachments; pasted text behaves as usual
+  $userText.addEventListener("paste", (e) => {
+    const files = e.clipboardData?.files;
+    if (!files?.length) return;
+    if (!e.clipboardData.getData("text/plain")) e.preventDefault();
+    addFiles(files);
+  });
 }
 
-// Quick action chips inside bubbles
+// Attach button, drag-and-drop anywhere on the page, removable previews
+const $fileInput = el("fileInput");
+el("attachBtn")?.addEventListener("click", () => $fileInput?.click());
+$fileInput?.addEventListener("change", () => { addFiles($fileInput.files); $fileInput.value = ""; });
+el("attachmentTray")?.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-remove]");
+  if (btn) removeAttachment(btn.dataset.remove);
+});
+const hasDraggedFiles = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
+document.addEventListener("dragover", (e) => {
+  if (!hasDraggedFiles(e)) return;
+  e.preventDefault();
+  $composer?.classList.add("dragging");
+});
+document.addEventListener("dragleave", (e) => { if (!e.relatedTarget) $composer?.classList.remove("dragging"); });
+document.addEventListener("drop", (e) => {
+  if (!hasDraggedFiles(e)) return;
+  e.preventDefault();
+  $composer?.classList.remove("dragging");
+  addFiles(e.dataTransfer.files);
+});
+
+// Quick action chips inside bubbles: data-form/data-action opens a form, else the prompt is sent
+async function activateChip(chip) {
+  const action = chip.dataset.form || chip.dataset.action;
+  const prompt = chip.dataset.prompt || chip.textContent.trim();
+  if (action === "handoff") { requestHandoff(prompt); return; }
+  if (handoff) { sendMessage(prompt); return; } // the colleague gets the question, not a form
+  if (!threadId) pendingTopic = chip.dataset.topic || action || chip.textContent.trim();
+  if (action) {
+    try { if (await openForm(action)) return; }
+    catch (e) { log(`⚠️ forms unavailable: ${e.message || e}`); }
+  }
+  sendMessage(prompt);
+}
 $messages.addEventListener("click", (e) => {
   const chip = e.target.closest(".chip");
-  if (!chip) return;
-  const action = chip.dataset.action;
-  const prompt = chip.dataset.prompt || chip.textContent.trim();
-  if (action === "wimo")      return void renderFormFragment("track-order");
-  if (action === "c2w")       return void renderFormFragment("c2w-status");
-  if (action === "loyalty")   return void renderFormFragment("loyalty-signup");
-  return void sendMessage(prompt);
+  if (chip) activateChip(chip);
 });
 $messages.addEventListener("keydown", (e) => {
   const chip = e.target.closest(".chip"); if (!chip) return;
-  if (e.key === "Enter" || e.key === " ") {
-    e.preventDefault();
-    const action = chip.dataset.action;
-    const prompt = chip.dataset.prompt || chip.textContent.trim();
-    if (action === "wimo")   return void renderFormFragment("track-order");
-    if (action === "c2w")    return void renderFormFragment("c2w-status");
-    if (action === "loyaltly")   return void renderFormFragment("loyalty-signup"); 
-    return void sendMessage(prompt);
-  }
+  if (e.key === "Enter" || e.key === " ") { e.preventDefault(); activateChip(chip); }
 });
 
-// New chat (optional button)
-const $newChat = el("newChat");
-if ($newChat) {
-  $newChat.addEventListener("click", () => {
-    threadId = null;
-    $messages.innerHTML = `
+/* ====== Welcome, transcript & resume ====== */
+function clearMessages() {
+  $messages.innerHTML = "";
+  // re-attach sentinel
+  $bottom = document.createElement("div"); $bottom.id = "bottomSentinel"; $bottom.style.cssText = "height:1px;"; $messages.appendChild($bottom);
+}
+
+function renderWelcome(meta, intro) {
+  clearMessages();
+  $messages.insertAdjacentHTML("afterbegin", `
       <div class="msg assistant">
         <div class="avatar h">H</div>
         <div>
-          <div class="meta">Assistant · fresh thread</div>
+          <div class="meta">${escapeHtml(meta)}</div>
           <div class="bubble">
-            New chat started. How can I help?
+            ${escapeHtml(intro)}
             <div class="quick-wrap">
-              <div class="muted" style="margin-bottom:6px;">Quick actions</div>
+              <div class="muted" style="margin-bottom:6px;">${escapeHtml(t("welcome.quickActions"))}</div>
               <div class="quick">
-                ${SUGGESTIONS.map(s =>
-                  `<span class="chip" role="button" tabindex="0" ${s.action ? `data-action="${s.action}"` : `data-prompt="${s.prompt}"`}>${s.label}</span>`
+                ${suggestions().map(s =>
+                  `<span class="chip" role="button" tabindex="0" ${s.action ? `data-action="${escapeHtml(s.action)}" ` : ""}${s.topic ? `data-topic="${escapeHtml(s.topic)}" ` : ""}data-prompt="${escapeHtml(s.prompt)}">${escapeHtml(s.label)}</span>`
                 ).join("")}
               </div>
             </div>
           </div>
         </div>
-      </div>`;
-    // re-attach sentinel
-    $bottom = document.createElement("div"); $bottom.id = "bottomSentinel"; $bottom.style.cssText = "height:1px;"; $messages.appendChild($bottom);
+      </div>`);
+}
+
+/** Replay a whole thread oldest-first (form payloads and star ratings stay hidden) */
+function renderTranscript(itemsParam) {
+  const items = Array.isArray(itemsParam) ? itemsParam : (itemsParam?.data || []);
+  const sorted = items.slice().sort((a,b) => (a.created_at||0) - (b.created_at||0));
+  for (const m of sorted) {
+    const text = extractAssistantText(m);
+    if (String(m.role || "").toLowerCase() === "user") {
+      if (m.handoff) { renderHandoffTranscript(text); continue; }
+      if (!text || /^LOYALTY_SIGNUP\b/i.test(text) || /^FEEDBACK\s*[1-5]\b/i.test(text)) continue;
+      addMsg("user", userBubbleHtml(text, (m.attachments || []).map(a => ({ kind: "document", name: a.name }))));
+    } else {
+      const { cleaned } = stripFeedbackPrompt(text);
+      if (!cleaned) continue;
+      const bubble = addMsg("assistant", mdToHtml(cleaned));
+      renderFootnotes(bubble, m.citations);
+      addSpeechControls(bubble);
+    }
+  }
+  ensureBottomSoon({ smooth: false });
+}
+
+// What was said with a colleague, saved to the thread when they handed back (one JSON line each)
+function renderHandoffTranscript(text) {
+  for (const line of text.split("\n").slice(1)) {
+    let m; try { m = JSON.parse(line); } catch { continue; }
+    if (typeof m?.text !== "string") continue;
+    if (m.from === "colleague") addSpeechControls(addMsg("colleague", mdToHtml(m.text), { name: m.name || "" }));
+    else addMsg("user", userBubbleHtml(m.text));
+  }
+}
+
+async function resumeThread(id) {
+  if (!id || sending) return;
+  detachHandoff();
+  threadId = id; pendingFeedback = false;
+  clearMessages();
+  showTyping();
+  try {
+    const list = await listAllThreadMessages(id);
+    hideTyping();
+    renderTranscript(list);
+    rememberThread(id);
+    log(`🧵 resumed ${id}`);
+    await checkHandoff();
+  } catch (e) {
+    hideTyping();
+    threadId = null;
+    if (e.status === 404 || e.status === 410) forgetThread(id); else clearActiveThread();
+    renderWelcome(t("welcome.metaFresh"), t("welcome.intro"));
+    const reason = e.status === 410 ? t("resume.expired") : e.status === 404 ? t("resume.gone") : (e.message || String(e));
+    addNotice(t("resume.failed", { reason }), { urgent: true });
+  }
+}
+
+// New chat (optional button)
+const $newChat = el("newChat");
+if ($newChat) {
+  $newChat.addEventListener("click", () => {
+    if (sending) return;
+    leaveHandoff();
+    threadId = null; pendingFeedback = false; pendingTopic = null;
+    clearActiveThread();
+    stopVoice();
+    renderWelcome(t("welcome.metaFresh"), t("welcome.newChat"));
+    announce(t("welcome.newChat"));
     if ($log) $log.textContent = "";
     ping();
     ensureBottomSoon({ smooth: false });
   });
 }
 
+// History panel (recent conversations on this browser that the server still holds)
+const $historyToggle = el("historyToggle");
+const $historyPanel = el("historyPanel");
+async function renderHistory() {
+  const h = loadHistory();
+  try {
+    const live = new Set(((await listResumableThreads())?.data || []).map(t => t.id));
+    h.recent = h.recent.filter(t => live.has(t.id));
+    if (h.active && !live.has(h.active)) h.active = null;
+    saveHistory(h);
+  } catch (e) { log(`⚠️ couldn't check resumable threads: ${e.message || e}`); }
+
+  if (!h.recent.length) { $historyPanel.innerHTML = `<div class="muted">${escapeHtml(t("history.empty"))}</div>`; return; }
+  $historyPanel.innerHTML = `<ul class="history-list">${h.recent.map(t => `
+    <li><button type="button" class="history-item${t.id === threadId ? " current" : ""}" data-thread="${escapeHtml(t.id)}">
+      <span>${escapeHtml(t.title)}</span>
+      <span class="muted">${escapeHtml(new Date(t.updatedAt).toLocaleString(getLocale(), { dateStyle: "medium", timeStyle: "short" }))}</span>
+    </button></li>`).join("")}</ul>`;
+}
+function toggleHistory(open) {
+  if (!$historyPanel || !$historyToggle) return;
+  $historyPanel.hidden = !open;
+  $historyToggle.setAttribute("aria-expanded", String(open));
+  if (open) { toggleTranscript(false); $historyPanel.innerHTML = `<div class="muted">${escapeHtml(t("history.loading"))}</div>`; renderHistory(); }
+}
+if ($historyToggle && $historyPanel) {
+  $historyToggle.addEventListener("click", () => toggleHistory($historyPanel.hidden));
+  $historyPanel.addEventListener("click", (e) => {
+    const item = e.target.closest("[data-thread]"); if (!item) return;
+    toggleHistory(false);
+    if (item.dataset.thread !== threadId) resumeThread(item.dataset.thread);
+  });
+  document.addEventListener("keydown", (e) => { if (e.key === "Escape" && !$historyPanel.hidden) toggleHistory(false); });
+}
+
+/* ====== Transcript ====== */
+// The proxy renders the conversation (PDF, text or web page, in the UI
+// language) for download, or emails it; the email form hides when the proxy
+// has no mail transport
+const $transcriptToggle = el("transcriptToggle");
+const $transcriptPanel = el("transcriptPanel");
+const TRANSCRIPT_FORMATS = ["pdf", "txt", "html"];
+
+async function downloadTranscript(format) {
+  const url = `${PROXY_BASE}/transcript?` + new URLSearchParams({ threadId, format });
+  log(`➡️ TRANSCRIPT ${url}`);
+  const res = await fetch(url, { credentials: "include", headers: { "Accept-Language": getLocale() } });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data?.error?.message || res.statusText);
+  }
+  const name = /filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") || "")?.[1] || `halfords-chat.${format}`;
+  const href = URL.createObjectURL(await res.blob());
+  const a = Object.assign(document.createElement("a"), { href, download: name });
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(href), 10000);
+}
+
+function renderTranscriptPanel() {
+  if (!threadId) { $transcriptPanel.innerHTML = `<div class="muted">${escapeHtml(t("transcript.empty"))}</div>`; return; }
+  $transcriptPanel.innerHTML = `
+    <div class="muted">${escapeHtml(t("transcript.download"))}</div>
+    <ul class="history-list">${TRANSCRIPT_FORMATS.map(f => `
+      <li><button type="button" class="history-item" data-format="${f}">${escapeHtml(t(`transcript.${f}`))}</button></li>`).join("")}</ul>
+    <form class="mini-form transcript-email" novalidate>
+      <div class="mini-row">
+        <label for="transcriptEmail">${escapeHtml(t("transcript.email"))}</label>
+        <input id="transcriptEmail" type="email" autocomplete="email" maxlength="254" placeholder="${escapeHtml(t("transcript.emailLabel"))}" required>
+      </div>
+      <div class="mini-actions"><button class="mini-send" type="submit">${escapeHtml(t("transcript.send"))}</button></div>
+    </form>
+    <div class="muted" role="status" data-transcript="sent"></div>
+    <div class="field-error" role="alert" data-transcript="error"></div>`;
+}
+function setTranscriptNote(sent = "", error = "") {
+  $transcriptPanel.querySelector('[data-transcript="sent"]').textContent = sent;
+  $transcriptPanel.querySelector('[data-transcript="error"]').textContent = error;
+}
+function toggleTranscript(open) {
+  if (!$transcriptPanel || !$transcriptToggle) return;
+  $transcriptPanel.hidden = !open;
+  $transcriptToggle.setAttribute("aria-expanded", String(open));
+  if (open) { toggleHistory(false); renderTranscriptPanel(); }
+}
+if ($transcriptToggle && $transcriptPanel) {
+  $transcriptToggle.addEventListener("click", () => toggleTranscript($transcriptPanel.hidden));
+  $transcriptPanel.addEventListener("click", async (e) => {
+    const item = e.target.closest("[data-format]"); if (!item || item.disabled) return;
+    item.disabled = true; setTranscriptNote();
+    try { await downloadTranscript(item.dataset.format); }
+    catch (err) { setTranscriptNote("", err.message || String(err)); }
+    finally { item.disabled = false; }
+  });
+  $transcriptPanel.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const $email = $transcriptPanel.querySelector("#transcriptEmail");
+    const $send = $transcriptPanel.querySelector(".mini-send");
+    const email = $email.value.trim();
+    $email.removeAttribute("aria-invalid");
+    if (!email || !$email.checkValidity()) { $email.setAttribute("aria-invalid", "true"); setTranscriptNote("", t("validation.email")); $email.focus(); return; }
+    $send.disabled = true; $send.textContent = t("transcript.sending"); setTranscriptNote();
+    try {
+      await emailTranscript(email);
+      $email.value = "";
+      setTranscriptNote(t("transcript.sent", { email }));
+    } catch (err) {
+      if (err.fields?.email) $email.setAttribute("aria-invalid", "true");
+      setTranscriptNote("", t("transcript.failed", { message: err.fields?.email || err.message || String(err) }));
+    } finally {
+      $send.disabled = false; $send.textContent = t("transcript.send");
+    }
+  });
+  document.addEventListener("keydown", (e) => { if (e.key === "Escape" && !$transcriptPanel.hidden) toggleTranscript(false); });
+}
+
 // Ping proxy on load
 async function ping() {
   try {
     const r = await fetch(`${PROXY_BASE}/ping`);
+    const info = r.ok ? await r.json().catch(() => ({})) : {};
+    // No colleague console on this proxy: hide "Talk to a person"
+    document.documentElement.classList.toggle("no-handoff", info.handoff === false);
+    document.documentElement.classList.toggle("no-mail", info.mail === false);
+    if (info.maxMessageLength && el("userText")) el("userText").maxLength = info.maxMessageLength;
     if ($status) {
-      if (r.ok) { $status.textContent = "Connected"; $status.classList.remove("muted"); }
-      else { $status.textContent = "Proxy issue"; $status.classList.add("muted"); }
+      if (r.ok && info.status === "degraded") { $status.textContent = t("status.degraded"); $status.classList.add("muted"); }
+      else if (r.ok) { $status.textContent = info.provider === "mock" ? t("status.mock") : t("status.connected"); $status.classList.remove("muted"); }
+      else { $status.textContent = t("status.proxyIssue"); $status.classList.add("muted"); }
     }
   } catch {
-    if ($status) { $status.textContent = "Offline"; $status.classList.add("muted"); }
+    if ($status) { $status.textContent = t("status.offline"); $status.classList.add("muted"); }
   }
 }
+/* ====== Language switcher ====== */
+const $langSelect = el("langSelect");
+
+// Re-label everything already on screen; the conversation itself stays as written
+function applyLanguage() {
+  translateDocument();
+  labelThemeToggle();
+  labelA11yToggle();
+  labelReadAloudToggle();
+  cancelDictation(); // recognition keeps the language it started with
+  $messages.querySelectorAll(".bubble").forEach(labelSpeakButton);
+  if (!activeTurn?.stopped) setComposerBusy(sending);
+  renderAttachmentTray();
+  renderHandoffBar();
+  formDefsPromise = null; // form labels come from the proxy in the request's language
+  ping();
+  if ($historyPanel && !$historyPanel.hidden) renderHistory();
+  if ($transcriptPanel && !$transcriptPanel.hidden) renderTranscriptPanel();
+  // Only the welcome on screen: show it again in the new language
+  if (!threadId && !sending && $messages.querySelectorAll(".msg").length <= 1) renderWelcome(t("welcome.metaReady"), t("welcome.intro"));
+}
+
+if ($langSelect) {
+  const locales = availableLocales();
+  $langSelect.innerHTML = locales.map(l => `<option value="${escapeHtml(l.code)}" lang="${escapeHtml(l.code)}">${escapeHtml(l.name)}</option>`).join("");
+  $langSelect.value = getLocale();
+  $langSelect.hidden = locales.length < 2;
+  $langSelect.addEventListener("change", async () => {
+    $langSelect.value = await setLocale($langSelect.value);
+    applyLanguage();
+  });
+}
+
+/* ====== Embedded (public/embed.js) ====== */
+// The page that framed us: the browser's own record where it keeps one, else
+// the ?host= embed.js passes, else the referrer. null when none of them is an
+// http(s) origin.
+function embedderOrigin() {
+  const originOf = (value) => {
+    try {
+      const url = new URL(value);
+      return /^https?:$/.test(url.protocol) ? url.origin : null;
+    } catch { return null; }
+  };
+  return originOf(location.ancestorOrigins?.[0]) || originOf(EMBED?.get("host")) || originOf(document.referrer);
+}
+
+// The launcher owns the panel: Close and Escape ask it to hide the iframe. With
+// no known origin to address there's no message — "*" would tell any page that
+// framed the chat.
+function closeEmbed() {
+  const origin = embedderOrigin();
+  if (origin) window.parent.postMessage({ type: "halfords-chat:close" }, origin);
+}
+if (EMBED) {
+  document.documentElement.classList.add("embedded");
+  const $close = el("closeChat");
+  if ($close) { $close.hidden = false; $close.addEventListener("click", closeEmbed); }
+  // Capture phase runs before the panels' own Escape handlers close them
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && el("historyPanel")?.hidden !== false && el("transcriptPanel")?.hidden !== false) closeEmbed();
+  }, { capture: true });
+}
+
 log(`Client using PROXY_BASE = ${PROXY_BASE}`);
 ping();
+const { active: savedThread } = loadHistory();
+if (!savedThread) renderWelcome(t("welcome.metaReady"), t("welcome.intro"));
+if (savedThread) resumeThread(savedThread);
 ensureBottomSoon({ smooth: false });
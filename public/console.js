@@ -0,0 +1,208 @@
+// public/console.js
+// Colleague console for chats the assistant has handed over. Signs in over the
+// proxy's /api/console/socket with ADMIN_API_KEY, lists the queue, shows the
+// conversation so far and lets one colleague take it over, reply, and hand it
+// back to the assistant.
+
+import { renderMarkdown } from "./markdown.js";
+
+/* ====== CONFIG ====== */
+const SOCKET_URL = `${location.origin.replace(/^http/i, "ws")}/api/console/socket`;
+const SESSION_KEY = "halfordsConsole"; // { name, key } for this tab only
+const RECONNECT_MAX_MS = 15000;
+
+/* ====== UI helpers ====== */
+const el = id => document.getElementById(id);
+function escapeHtml(s){ return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+const mdToHtml = (md) => renderMarkdown(md, { imageHosts: [location.hostname] });
+const initials = (name = "") => name.split(/\s+/).filter(Boolean).slice(0, 2).map(w => w[0].toUpperCase()).join("") || "?";
+const timeOf = (iso) => (iso ? new Date(iso).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : "");
+const since = (iso) => {
+  const mins = Math.max(0, Math.round((Date.now() - new Date(iso)) / 60000));
+  return mins < 1 ? "just now" : mins < 60 ? `${mins} min` : `${Math.floor(mins / 60)} h ${mins % 60} min`;
+};
+
+// Same theme as the chat on this browser
+const savedTheme = localStorage.getItem("halfordsTheme");
+document.documentElement.classList.toggle("dark", savedTheme ? savedTheme === "dark" : window.matchMedia?.("(prefers-color-scheme: dark)").matches);
+
+/* ====== State ====== */
+let socket = null;
+let creds = null; // { name, key } while signed in (or signing in)
+let me = null; // display name the proxy accepted
+let queue = []; // rows from the proxy, oldest first
+let openId = null; // conversation on screen
+let retries = 0;
+
+function setStatus(text, ok = false) {
+  const $status = el("status");
+  $status.textContent = text;
+  $status.classList.toggle("muted", !ok);
+}
+
+const send = (frame) => socket?.readyState === WebSocket.OPEN && (socket.send(JSON.stringify(frame)), true);
+
+/* ====== Connection ====== */
+function connect() {
+  const ws = socket = new WebSocket(SOCKET_URL);
+  setStatus("Connecting…");
+  ws.addEventListener("open", () => ws.send(JSON.stringify({ type: "auth", key: creds.key, name: creds.name })));
+  ws.addEventListener("message", (e) => {
+    let frame; try { frame = JSON.parse(e.data); } catch { return; }
+    handleFrame(frame);
+  });
+  ws.addEventListener("close", (e) => {
+    if (socket !== ws) return;
+    socket = null;
+    if (e.code === 4001) { signOut("That console key wasn’t accepted."); return; }
+    setStatus("Reconnecting…");
+    setTimeout(() => { if (!socket && creds) connect(); }, Math.min(1000 * 2 ** retries++, RECONNECT_MAX_MS));
+  });
+}
+
+function handleFrame(frame) {
+  if (frame.type === "ready") {
+    me = frame.name; retries = 0;
+    setStatus(`Signed in as ${me}`, true);
+    el("signIn").hidden = true; el("console").hidden = false; el("signOut").hidden = false;
+    // Back after a drop: read the open conversation again
+    if (openId) send({ type: "open", id: openId });
+  } else if (frame.type === "queue") {
+    queue = frame.data || [];
+    renderQueue();
+    renderChatHead();
+  } else if (frame.type === "transcript") {
+    if (frame.id === openId) renderTranscript(frame);
+  } else if (frame.type === "message") {
+    if (frame.id === openId) addEntry(frame.message);
+  } else if (frame.type === "error") {
+    if (openId && (!frame.id || frame.id === openId)) addNote(frame.message || "Something went wrong");
+  }
+}
+
+function signOut(error = "") {
+  sessionStorage.removeItem(SESSION_KEY);
+  creds = null; me = null;
+  const ws = socket; socket = null; ws?.close();
+  openId = null; queue = [];
+  el("console").hidden = true; el("signOut").hidden = true; el("signIn").hidden = false;
+  el("signInError").textContent = error;
+  setStatus("Signed out");
+}
+
+/* ====== Queue ====== */
+function renderQueue() {
+  el("queueEmpty").hidden = queue.length > 0;
+  el("queue").innerHTML = queue.map(h => `
+    <li><button type="button" class="history-item${h.id === openId ? " current" : ""}" data-id="${escapeHtml(h.id)}">
+      <span>${h.status === "active" ? `🟢 ${escapeHtml(h.colleague)}` : "⏳ Waiting"} · ${escapeHtml(since(h.requestedAt))}${h.customerOnline ? "" : " · customer offline"}</span>
+      <span class="muted">${escapeHtml(h.last || h.reason || (h.source === "agent" ? "Handed over by the assistant" : "Asked for a person"))}</span>
+    </button></li>`).join("");
+}
+
+el("queue").addEventListener("click", (e) => {
+  const item = e.target.closest("[data-id]");
+  if (!item || item.dataset.id === openId) return;
+  openId = item.dataset.id;
+  el("chatEmpty").hidden = true; el("chat").hidden = false;
+  el("messages").innerHTML = `<p class="muted">Loading…</p>`;
+  renderQueue();
+  renderChatHead();
+  send({ type: "open", id: openId });
+});
+
+/* ====== Conversation ====== */
+function renderChatHead() {
+  if (!openId) return;
+  const h = queue.find(x => x.id === openId);
+  const mine = h?.status === "active" && h.colleague === me;
+  el("chatTitle").textContent = !h ? "This conversation has ended" : h.reason ? `“${h.reason}”` : "Conversation";
+  el("chatMeta").textContent = h
+    ? [h.source === "agent" ? "Handed over by the assistant" : "Customer asked for a person", `language: ${h.locale}`, `assistant: ${h.assistant}`, h.customerOnline ? "customer online" : "customer offline"].join(" · ")
+    : "Pick another from the queue.";
+  el("accept").hidden = !h || mine;
+  el("accept").disabled = h?.status === "active";
+  el("accept").textContent = h?.status === "active" ? `${h.colleague} has this` : "Take over";
+  el("download").hidden = !h?.threadId;
+  el("release").hidden = !mine;
+  el("replyText").disabled = el("send").disabled = !mine;
+}
+
+function addEntry({ from, name, text, at }) {
+  const row = document.createElement("div");
+  row.className = "msg " + (from === "customer" ? "user" : from === "colleague" ? "assistant colleague" : "assistant");
+  const who = from === "customer" ? "Customer" : from === "colleague" ? (name === me ? `${name} (you)` : name) : "Assistant";
+  row.innerHTML = `
+    <div class="avatar ${from === "assistant" ? "h" : from === "colleague" ? "c" : ""}">${from === "assistant" ? "H" : from === "colleague" ? escapeHtml(initials(name)) : "C"}</div>
+    <div><div class="meta">${escapeHtml(who)}${at ? ` · ${escapeHtml(timeOf(at))}` : ""}</div><div class="bubble"></div></div>`;
+  row.querySelector(".bubble").innerHTML = mdToHtml(text);
+  el("messages").appendChild(row);
+  row.scrollIntoView({ block: "end" });
+}
+
+function addNote(text) {
+  const p = document.createElement("p");
+  p.className = "muted console-note"; p.textContent = text;
+  el("messages").appendChild(p);
+  p.scrollIntoView({ block: "end" });
+}
+
+function renderTranscript({ history, messages }) {
+  el("messages").innerHTML = "";
+  if (history === null) addNote("Couldn’t load the conversation with the assistant.");
+  (history || []).forEach(addEntry);
+  addNote("Handed over here");
+  (messages || []).forEach(addEntry);
+}
+
+// The thread as a PDF for the case notes (what was said here is added once it's handed back)
+el("download").addEventListener("click", async () => {
+  const h = queue.find(x => x.id === openId);
+  if (!h?.threadId || !creds) return;
+  try {
+    const res = await fetch("/api/transcript?" + new URLSearchParams({ threadId: h.threadId, format: "pdf" }), { headers: { Authorization: `Bearer ${creds.key}` } });
+    if (!res.ok) throw new Error((await res.json().catch(() => ({})))?.error?.message || res.statusText);
+    const name = /filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") || "")?.[1] || "halfords-chat.pdf";
+    const href = URL.createObjectURL(await res.blob());
+    const a = Object.assign(document.createElement("a"), { href, download: name });
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(href), 10000);
+  } catch (e) {
+    addNote(`Couldn’t download the transcript: ${e.message || e}`);
+  }
+});
+
+el("accept").addEventListener("click", () => send({ type: "accept", id: openId }));
+el("release").addEventListener("click", () => {
+  if (confirm("Hand this conversation back to the assistant?")) send({ type: "release", id: openId });
+});
+
+el("reply").addEventListener("submit", (e) => {
+  e.preventDefault();
+  const $text = el("replyText");
+  const text = $text.value.trim();
+  if (text && send({ type: "message", id: openId, text })) $text.value = "";
+});
+el("replyText").addEventListener("keydown", (e) => {
+  if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); el("reply").requestSubmit(); }
+});
+
+/* ====== Sign in ====== */
+el("signIn").addEventListener("submit", (e) => {
+  e.preventDefault();
+  const given = { name: el("colleagueName").value.trim(), key: el("consoleKey").value };
+  if (!given.name || !given.key || socket) return;
+  creds = given;
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(creds));
+  el("signInError").textContent = "";
+  retries = 0;
+  connect();
+});
+el("signOut").addEventListener("click", () => signOut());
+
+// Waiting times in the queue tick on
+setInterval(() => { if (queue.length) renderQueue(); }, 30000);
+
+try { creds = JSON.parse(sessionStorage.getItem(SESSION_KEY) || "null"); } catch {}
+if (creds?.name && creds?.key) { el("colleagueName").value = creds.name; connect(); }
+else creds = null;
@@ -0,0 +1,117 @@
+// public/embed.js
+// Chat launcher for any Halfords page. Include it once:
+//
+//   <script src="https://chat.example.com/embed.js" async
+//           data-profile="autocentres" data-theme="dark"
+//           data-quick-actions='[{ "label": "Book an MOT", "prompt": "I want to book an MOT." }]'></script>
+//
+// It draws a floating button (in a shadow root) and, when first opened, a panel
+// holding the full chat app (index.html?embed=1) in an iframe, so the host
+// page's CSS and scripts never meet the chat's. Settings, all optional:
+//   data-proxy          where the chat is served (default: wherever this script came from)
+//   data-profile        assistant profile to ask for (see GET /api/assistants)
+//   data-channel        routing channel, e.g. "autocentres-web"
+//   data-page           page the chat was opened from, for routing (default: this page's path)
+//   data-theme          light | dark (default: the visitor's saved choice, else their OS)
+//   data-lang           UI language, e.g. "cy" for Welsh (default: the visitor's saved choice,
+//                       else their browser's); replies follow it
+//   data-quick-actions  JSON [{ label, prompt?, action? }] replacing the welcome chips;
+//                       action opens a form (e.g. "wimo"), prompt is sent as the message
+//   data-label          launcher text (default: "Chat with us")
+//   data-open           start with the panel open
+// The host page's origin must be in the proxy's EMBED_ORIGINS.
+// window.HalfordsChat.open() / .close() / .toggle() drive it from page scripts.
+
+(() => {
+  const script = document.currentScript;
+  if (!script || window.HalfordsChat) return;
+  const opts = script.dataset;
+
+  const base = opts.proxy
+    ? new URL(opts.proxy.replace(/\/api\/?$/, "").replace(/\/?$/, "/"), location.href)
+    : new URL(".", script.src);
+  const appUrl = new URL("index.html", base);
+  const query = new URLSearchParams({ embed: "1", host: location.origin, page: opts.page || location.pathname });
+  for (const key of ["profile", "channel", "theme", "lang"]) if (opts[key]) query.set(key, opts[key]);
+  if (opts.quickActions) {
+    try {
+      const actions = JSON.parse(opts.quickActions);
+      if (!Array.isArray(actions)) throw new Error("expected an array");
+      query.set("actions", JSON.stringify(actions));
+    } catch (e) {
+      console.warn(`[halfords-chat] ignoring data-quick-actions: ${e.message}`);
+    }
+  }
+  appUrl.search = query;
+
+  const host = document.createElement("div");
+  host.id = "halfords-chat";
+  const root = host.attachShadow({ mode: "open" });
+  root.innerHTML = `
+    <style>
+      :host{all:initial;position:fixed;right:20px;bottom:20px;z-index:2147483000;
+        font-family:ui-sans-serif,system-ui,-apple-system,"Segoe UI",Roboto,Arial,sans-serif}
+      .launcher{display:flex;align-items:center;gap:8px;margin:0;border:0;border-radius:999px;padding:12px 18px;
+        background:#ff8f00;color:#1b1200;font:inherit;font-size:15px;font-weight:600;line-height:1;cursor:pointer;
+        box-shadow:0 6px 20px rgba(0,0,0,.25)}
+      .launcher:hover{filter:brightness(1.05)}
+      .launcher:focus-visible{outline:3px solid #1b1200;outline-offset:3px}
+      .launcher svg{width:20px;height:20px;fill:currentColor}
+      .panel{position:absolute;right:0;bottom:calc(100% + 12px);width:min(400px,calc(100vw - 40px));
+        height:min(640px,calc(100vh - 110px));border-radius:16px;overflow:hidden;background:#fff;
+        box-shadow:0 12px 40px rgba(0,0,0,.3)}
+      .panel[hidden]{display:none}
+      iframe{display:block;width:100%;height:100%;border:0}
+      @media (max-width:480px){
+        .panel{position:fixed;inset:0;width:auto;height:auto;border-radius:0}
+        :host([data-open]) .launcher{display:none}
+      }
+    </style>
+    <div class="panel" id="panel" hidden></div>
+    <button class="launcher" type="button" aria-controls="panel" aria-expanded="false">
+      <svg viewBox="0 0 24 24" aria-hidden="true"><path d="M4 4h16a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2H9l-5 4v-4a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2z"/></svg>
+      <span></span>
+    </button>`;
+  const panel = root.getElementById("panel");
+  const launcher = root.querySelector(".launcher");
+  launcher.querySelector("span").textContent = opts.label || "Chat with us";
+
+  let frame = null;
+  function open() {
+    if (!frame) {
+      // Loaded on first open so pages that never use the chat don't pay for it
+      frame = document.createElement("iframe");
+      frame.title = "Halfords chat";
+      frame.allow = "microphone"; // dictation in accessible mode
+      frame.src = appUrl;
+      panel.append(frame);
+    }
+    panel.hidden = false;
+    host.toggleAttribute("data-open", true);
+    launcher.setAttribute("aria-expanded", "true");
+    frame.focus();
+  }
+  function close() {
+    if (panel.hidden) return;
+    panel.hidden = true;
+    host.toggleAttribute("data-open", false);
+    launcher.setAttribute("aria-expanded", "false");
+    launcher.focus();
+  }
+  const toggle = () => (panel.hidden ? open() : close());
+  launcher.addEventListener("click", toggle);
+
+  // The app's close button (and Escape inside it) ask us to close the panel
+  window.addEventListener("message", (e) => {
+    if (!frame || e.source !== frame.contentWindow || e.origin !== appUrl.origin) return;
+    if (e.data?.type === "halfords-chat:close") close();
+  });
+
+  window.HalfordsChat = { open, close, toggle };
+  const mount = () => {
+    document.body.append(host);
+    if ("open" in opts && opts.open !== "false") open();
+  };
+  if (document.body) mount();
+  else document.addEventListener("DOMContentLoaded", mount, { once: true });
+})();
@@ -0,0 +1,99 @@
+// public/i18n.js
+// UI language. Catalogues come from the proxy (GET /api/locales/:code, the same
+// public/locales files it uses for its own messages): flat { "dotted.key": "text" }
+// maps with "{name}" placeholders. Keys a catalogue lacks fall back to English,
+// then to the key itself.
+
+const FALLBACK = "en";
+const STORAGE_KEY = "halfordsLocale";
+
+let apiBase = "";
+let available = [{ code: FALLBACK, name: "English" }];
+let current = FALLBACK;
+const catalogues = new Map();
+
+async function loadCatalogue(code) {
+  if (!catalogues.has(code)) {
+    let res = await fetch(`${apiBase}/locales/${encodeURIComponent(code)}`).catch(() => null);
+    // English ships next to this file too, so the UI still reads properly when the proxy is down
+    if (!res?.ok && code === FALLBACK) res = await fetch(new URL(`./locales/${FALLBACK}.json`, import.meta.url)).catch(() => null);
+    if (!res?.ok) throw new Error(`locale ${code}: ${res ? res.status : "unreachable"}`);
+    catalogues.set(code, await res.json());
+  }
+  return catalogues.get(code);
+}
+
+/** First of the candidates we have a catalogue for ("cy-GB" → "cy"), else English */
+function pickLocale(candidates) {
+  for (const c of candidates) {
+    const code = String(c || "").toLowerCase().split(/[-_]/)[0];
+    if (available.some(l => l.code === code)) return code;
+  }
+  return FALLBACK;
+}
+
+/**
+ * Load the language list and the visitor's catalogue. Order of preference: their
+ * saved choice, then `hint` (e.g. the embedding page's data-lang), then the browser's.
+ * Without the proxy the page keeps its built-in English.
+ */
+export async function initI18n(base, { hint } = {}) {
+  apiBase = base;
+  try {
+    const res = await fetch(`${apiBase}/locales`);
+    const { data } = res.ok ? await res.json() : {};
+    if (Array.isArray(data) && data.length) available = data;
+  } catch {}
+  let saved = null;
+  try { saved = localStorage.getItem(STORAGE_KEY); } catch {}
+  return setLocale(pickLocale([saved, hint, ...(navigator.languages || [navigator.language])]), { save: false });
+}
+
+/** Switch language (remembered on this browser unless save is false) → the code in use */
+export async function setLocale(code, { save = true } = {}) {
+  const next = pickLocale([code]);
+  await Promise.allSettled([loadCatalogue(FALLBACK), loadCatalogue(next)]);
+  current = catalogues.has(next) ? next : FALLBACK;
+  document.documentElement.lang = current;
+  if (save) try { localStorage.setItem(STORAGE_KEY, current); } catch {}
+  return current;
+}
+
+export const getLocale = () => current;
+export const availableLocales = () => available.slice();
+export const hasCatalogue = () => catalogues.has(current) || catalogues.has(FALLBACK);
+
+/** Text for `key` in a given locale, "{name}" filled from vars */
+export function translate(locale, key, vars = {}) {
+  const text = catalogues.get(locale)?.[key] ?? catalogues.get(FALLBACK)?.[key] ?? key;
+  return String(text).replace(/\{(\w+)\}/g, (m, name) => (Object.hasOwn(vars, name) ? String(vars[name]) : m));
+}
+
+/** Text for `key` in the current locale */
+export const t = (key, vars) => translate(current, key, vars);
+
+/** Counted text: "key.one", "key.few", … by the locale's plural rules, else "key.other"; vars.n = n */
+export function tn(key, n, vars = {}) {
+  const pick = (code) => {
+    const cat = catalogues.get(code) || {};
+    const form = `${key}.${new Intl.PluralRules(code).select(n)}`;
+    return form in cat ? form : `${key}.other` in cat ? `${key}.other` : null;
+  };
+  const k = pick(current) || pick(FALLBACK) || `${key}.other`;
+  return t(k, { n, ...vars });
+}
+
+/**
+ * Translate static markup: data-i18n="key" sets the text, data-i18n-attr="title:key,aria-label:key"
+ * sets attributes. Elements keep their built-in English when no catalogue loaded.
+ */
+export function translateDocument(root = document) {
+  if (!hasCatalogue()) return;
+  root.querySelectorAll("[data-i18n]").forEach(n => { n.textContent = t(n.dataset.i18n); });
+  root.querySelectorAll("[data-i18n-attr]").forEach(n => {
+    for (const pair of n.dataset.i18nAttr.split(",")) {
+      const [attr, key] = pair.split(":").map(s => s.trim());
+      if (attr && key) n.setAttribute(attr, t(key));
+    }
+  });
+}
@@ -0,0 +1,468 @@
+// public/markdown.js
+// Markdown → HTML for chat bubbles. A small block + inline tokeniser covering
+// what the agent actually sends (GFM tables, nested/mixed/task lists, fenced
+// code, quotes, images, links, [^n] footnote refs), followed by an allow-list
+// sanitiser.
+// No DOM access, so it behaves the same in the browser and under Node.
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+const decodeEntities = (s) => String(s).replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|#39);/gi, (_m, e) => {
+  const k = e.toLowerCase();
+  if (k.startsWith("#x")) return String.fromCodePoint(parseInt(k.slice(2), 16) || 0xfffd);
+  if (k.startsWith("#")) return String.fromCodePoint(parseInt(k.slice(1), 10) || 0xfffd);
+  return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[k];
+});
+
+/* ====== URLs ====== */
+const LINK_SCHEMES = ["http:", "https:", "mailto:", "tel:"];
+const IMAGE_SCHEMES = ["http:", "https:"];
+
+// "example.com" matches only itself; "*.example.com" matches any subdomain
+function hostAllowed(host, patterns = []) {
+  host = host.toLowerCase();
+  return patterns.some(p => {
+    p = String(p).toLowerCase();
+    return p.startsWith("*.") ? host.endsWith(p.slice(1)) : host === p;
+  });
+}
+
+/** Absolute http(s)/mailto/tel URL (images: http(s) on an allowed host) or null */
+function safeUrl(raw, kind, opts) {
+  const url = String(raw ?? "").trim().replace(/[\u0000-\u001f\u007f-\u009f]/g, "").replace(/ /g, "%20");
+  let parsed;
+  try { parsed = new URL(url); } catch { return null; } // relative URLs mean nothing inside the chat
+  if (kind === "image") {
+    if (!IMAGE_SCHEMES.includes(parsed.protocol) || !hostAllowed(parsed.hostname, opts.imageHosts)) return null;
+  } else if (!LINK_SCHEMES.includes(parsed.protocol)) {
+    return null;
+  }
+  return url;
+}
+
+/* ====== Block parsing ====== */
+const RE = {
+  blank: /^\s*$/,
+  fence: /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/,
+  heading: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+  hr: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+  quote: /^ {0,3}>[ \t]?(.*)$/,
+  listItem: /^( {0,9})([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/,
+  tableDelim: /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/
+};
+
+const indentOf = (line) => line.match(/^ */)[0].length;
+const isTableStart = (line, next) => line.includes("|") && next !== undefined && next.includes("-") && RE.tableDelim.test(next)
+  && splitRow(line).length === splitRow(next).length;
+
+// Anything that ends a paragraph without a blank line
+function startsBlock(line, next) {
+  return RE.fence.test(line) || RE.heading.test(line) || RE.hr.test(line) || RE.quote.test(line)
+    || RE.listItem.test(line) || isTableStart(line, next);
+}
+
+// "| a | b \| c |" → ["a", "b | c"]; pipes inside code spans don't split
+function splitRow(line) {
+  let s = line.trim();
+  if (s.startsWith("|")) s = s.slice(1);
+  if (s.endsWith("|") && !s.endsWith("\\|")) s = s.slice(0, -1);
+  const cells = [];
+  let cell = "", inCode = false;
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === "\\" && s[i + 1] === "|") { cell += "|"; i++; continue; }
+    if (c === "`") inCode = !inCode;
+    if (c === "|" && !inCode) { cells.push(cell.trim()); cell = ""; continue; }
+    cell += c;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function parseBlocks(lines) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+    if (RE.blank.test(line)) { i++; continue; }
+
+    if ((m = line.match(RE.fence))) {
+      const [, indent, fence, lang] = m;
+      const close = new RegExp(`^ {0,3}${fence[0] === "`" ? "`" : "~"}{${fence.length},}[ \\t]*$`);
+      const body = [];
+      for (i++; i < lines.length && !close.test(lines[i]); i++) body.push(lines[i].slice(Math.min(indent.length, indentOf(lines[i]))));
+      i++; // closing fence (or end of input while the agent is still streaming)
+      out.push({ type: "code", lang, text: body.join("\n") });
+      continue;
+    }
+    if ((m = line.match(RE.heading))) { out.push({ type: "heading", level: m[1].length, text: m[2] || "" }); i++; continue; }
+    if (RE.hr.test(line)) { out.push({ type: "hr" }); i++; continue; }
+
+    if (RE.quote.test(line)) {
+      const inner = [];
+      while (i < lines.length && !RE.blank.test(lines[i])) {
+        const q = lines[i].match(RE.quote);
+        if (q) inner.push(q[1]);
+        else if (!startsBlock(lines[i], lines[i + 1])) inner.push(lines[i]); // lazy continuation
+        else break;
+        i++;
+      }
+      out.push({ type: "quote", children: parseBlocks(inner) });
+      continue;
+    }
+
+    if (RE.listItem.test(line)) { const [list, next] = parseList(lines, i); out.push(list); i = next; continue; }
+
+    if (isTableStart(line, lines[i + 1])) {
+      const header = splitRow(line);
+      const aligns = splitRow(lines[i + 1]).map(c => (/^:-+:$/.test(c) ? "center" : /-:$/.test(c) ? "right" : /^:-/.test(c) ? "left" : null));
+      const rows = [];
+      for (i += 2; i < lines.length && !RE.blank.test(lines[i]) && lines[i].includes("|"); i++) {
+        const cells = splitRow(lines[i]);
+        rows.push(header.map((_h, c) => cells[c] ?? ""));
+      }
+      out.push({ type: "table", header, aligns, rows });
+      continue;
+    }
+
+    const para = [line.trim()];
+    for (i++; i < lines.length && !RE.blank.test(lines[i]) && !startsBlock(lines[i], lines[i + 1]); i++) para.push(lines[i].trim());
+    out.push({ type: "paragraph", text: para.join("\n") });
+  }
+  return out;
+}
+
+// Consecutive items with the same kind of marker; their bodies are parsed recursively
+function parseList(lines, i) {
+  const kindOf = (marker) => (/\d/.test(marker) ? `ol${marker.slice(-1)}` : `ul${marker}`);
+  const first = lines[i].match(RE.listItem);
+  const kind = kindOf(first[2]);
+  const list = { type: "list", ordered: kind.startsWith("ol"), start: parseInt(first[2], 10) || 1, loose: false, items: [] };
+  const baseIndent = first[1].length;
+
+  while (i < lines.length) {
+    const m = lines[i].match(RE.listItem);
+    if (!m || RE.hr.test(lines[i]) || kindOf(m[2]) !== kind || m[1].length > baseIndent + 1) break;
+    const gap = (m[3] || " ").length;
+    const contentIndent = m[1].length + m[2].length + (gap > 4 ? 1 : gap);
+    // agents often nest with two spaces whatever the marker width
+    const childIndent = Math.min(contentIndent, m[1].length + 2);
+
+    const body = [m[4] || ""];
+    let blank = false;
+    for (i++; i < lines.length; i++) {
+      const l = lines[i];
+      if (RE.blank.test(l)) { body.push(""); blank = true; continue; }
+      const indent = indentOf(l);
+      if (indent >= childIndent) { body.push(l.slice(Math.min(indent, contentIndent))); blank = false; continue; }
+      if (!blank && !startsBlock(l, lines[i + 1])) { body.push(l); continue; } // lazy continuation
+      break;
+    }
+    while (body.length > 1 && body.at(-1) === "") body.pop();
+    const next = blank && i < lines.length && lines[i].match(RE.listItem);
+    if (next && kindOf(next[2]) === kind && next[1].length <= baseIndent + 1) list.loose = true;
+    if (body.some((l, n) => l === "" && body[n + 1] && indentOf(body[n + 1]) === 0 && !RE.listItem.test(body[n + 1]))) list.loose = true;
+
+    const task = body[0].match(/^\[([ xX])\](?:[ \t]+|$)/);
+    if (task) body[0] = body[0].slice(task[0].length);
+    list.items.push({ task: task ? { checked: task[1] !== " " } : null, children: parseBlocks(body) });
+  }
+  return [list, i];
+}
+
+/* ====== Inline parsing ====== */
+const PUNCT = /[!-/:-@[-`{-~]/;
+const isSpace = (c) => c === undefined || /\s/.test(c);
+const isWord = (c) => c !== undefined && /[\p{L}\p{N}]/u.test(c);
+
+// Index of the closing delimiter for an opener at `from`, or -1
+function findClose(src, from, delim) {
+  const ch = delim[0];
+  for (let j = from; j < src.length; j++) {
+    const c = src[j];
+    if (c === "\\") { j++; continue; }
+    if (c === "`") { j = skipCode(src, j); continue; }
+    if (!src.startsWith(delim, j)) continue;
+    let run = 0; while (src[j + run] === ch) run++;
+    if (j === from || isSpace(src[j - 1])) { j += run - 1; continue; }
+    if (ch === "_" && isWord(src[j + run])) { j += run - 1; continue; }
+    if (run === delim.length) return j;
+    if (run === 3 && delim.length < 3) return j + run - delim.length; // "***" closes an inner pair too
+    j += run - 1; // any other run belongs to another pair
+  }
+  return -1;
+}
+
+// `code` span starting at i → index after it, or -1 when unclosed
+function codeSpanEnd(src, i) {
+  let n = 0; while (src[i + n] === "`") n++;
+  for (let j = i + n; j < src.length; j++) {
+    if (src[j] !== "`") continue;
+    let k = 0; while (src[j + k] === "`") k++;
+    if (k === n) return j + k;
+    j += k - 1;
+  }
+  return -1;
+}
+
+// Last index covered by the code span (or bare backtick run) at i
+function skipCode(src, i) {
+  const end = codeSpanEnd(src, i);
+  if (end > 0) return end - 1;
+  let n = 0; while (src[i + n] === "`") n++;
+  return i + n - 1;
+}
+
+// [text](dest "title") starting at the "[" → { text, dest, title, end } or null
+function parseLinkAt(src, i) {
+  let depth = 0, j = i;
+  for (; j < src.length; j++) {
+    const c = src[j];
+    if (c === "\\") { j++; continue; }
+    if (c === "`") { j = skipCode(src, j); continue; }
+    if (c === "[") depth++;
+    else if (c === "]" && --depth === 0) break;
+  }
+  if (depth !== 0 || src[j + 1] !== "(") return null;
+  const m = src.slice(j + 2).match(/^[ \t]*(?:<([^<>\n]*)>|((?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*))(?:[ \t]+(?:"([^"]*)"|'([^']*)'))?[ \t]*\)/);
+  if (!m) return null;
+  return { text: src.slice(i + 1, j), dest: (m[1] ?? m[2]).replace(/\\(.)/g, "$1"), title: m[3] ?? m[4] ?? "", end: j + 2 + m[0].length };
+}
+
+function anchor(href, inner, title = "") {
+  const external = /^https?:/i.test(href);
+  return `<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ""}${external ? ' target="_blank" rel="noopener noreferrer"' : ""}>${inner}</a>`;
+}
+
+// Bare URL at i (after a non-word char) → { url, end } with trailing punctuation left out
+function bareUrlAt(src, i) {
+  const m = src.slice(i).match(/^(?:https?:\/\/|www\.)[^\s<>"]+/i);
+  if (!m) return null;
+  let url = m[0].replace(/[.,:;!?'"*_~]+$/, "");
+  // keep balanced parens: "(see https://x.com/a_(b))" stays whole, "(https://x.com)" doesn't
+  while (url.endsWith(")") && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) url = url.slice(0, -1);
+  return url.length > (url.startsWith("www.") ? 4 : 8) ? { url, end: i + url.length } : null;
+}
+
+function renderInline(src, opts, inLink = false) {
+  let out = "", text = "";
+  const flush = () => { out += escapeHtml(text); text = ""; };
+  const emit = (html) => { flush(); out += html; };
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+
+    if (c === "\\" && PUNCT.test(src[i + 1] || "")) { text += src[++i]; continue; }
+    if (c === "\\" && src[i + 1] === "\n") { emit("<br>"); i++; continue; }
+
+    if (c === "\n") {
+      const hard = / {2,}$/.test(text);
+      text = text.replace(/[ \t]+$/, "");
+      if (hard || opts.breaks) emit("<br>"); else text += "\n";
+      continue;
+    }
+
+    if (c === "`") {
+      const end = codeSpanEnd(src, i);
+      let n = 0; while (src[i + n] === "`") n++;
+      if (end < 0) { text += src.slice(i, i + n); i += n - 1; continue; }
+      let code = src.slice(i + n, end - n).replace(/\n/g, " ");
+      if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+      emit(`<code>${escapeHtml(code)}</code>`);
+      i = end - 1;
+      continue;
+    }
+
+    if (c === "!" && src[i + 1] === "[") {
+      const link = parseLinkAt(src, i + 1);
+      if (link) {
+        const alt = link.text.replace(/[\\*_`~]/g, "");
+        const url = safeUrl(link.dest, "image", opts);
+        if (url) emit(`<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${link.title ? ` title="${escapeHtml(link.title)}"` : ""} loading="lazy">`);
+        else {
+          // image from a host we don't embed: offer it as a link instead
+          const href = !inLink && safeUrl(link.dest, "link", opts);
+          emit(href ? anchor(href, escapeHtml(alt || href)) : escapeHtml(alt));
+        }
+        i = link.end - 1;
+        continue;
+      }
+    }
+
+    if (c === "[" && src[i + 1] === "^") {
+      // footnote reference, e.g. a citation the proxy numbered
+      const m = src.slice(i).match(/^\[\^(\d{1,3})\]/);
+      if (m) { emit(`<sup class="fn-ref">${m[1]}</sup>`); i += m[0].length - 1; continue; }
+    }
+
+    if (c === "[" && !inLink) {
+      const link = parseLinkAt(src, i);
+      if (link) {
+        const href = safeUrl(link.dest, "link", opts);
+        const inner = renderInline(link.text, opts, true);
+        emit(href ? anchor(href, inner, link.title) : inner);
+        i = link.end - 1;
+        continue;
+      }
+    }
+
+    if (c === "<") {
+      const m = !inLink && src.slice(i).match(/^<((?:https?|mailto|tel):[^\s<>]+)>/i);
+      const href = m && safeUrl(m[1], "link", opts);
+      if (href) { emit(anchor(href, escapeHtml(m[1]))); i += m[0].length - 1; continue; }
+    }
+
+    if (!inLink && (c === "h" || c === "H" || c === "w" || c === "W") && !isWord(src[i - 1])) {
+      const bare = bareUrlAt(src, i);
+      const href = bare && safeUrl(/^www\./i.test(bare.url) ? `https://${bare.url}` : bare.url, "link", opts);
+      if (href) { emit(anchor(href, escapeHtml(bare.url))); i = bare.end - 1; continue; }
+    }
+
+    if (c === "*" || c === "_" || c === "~") {
+      let run = 0; while (src[i + run] === c) run++;
+      const opensOk = !isSpace(src[i + run]) && !(c === "_" && isWord(src[i - 1]));
+      const tries = c === "~" ? (run === 2 ? [["~~", "del"]] : [])
+        : run >= 3 ? [[c.repeat(3), "strong+em"], [c.repeat(2), "strong"], [c, "em"]]
+        : run === 2 ? [[c.repeat(2), "strong"]]
+        : [[c, "em"]];
+      let done = false;
+      for (const [delim, tag] of opensOk ? tries : []) {
+        const start = i + run;
+        const close = findClose(src, start, delim);
+        if (close < 0) continue;
+        const inner = renderInline(src.slice(start, close), opts, inLink);
+        const html = tag === "strong+em" ? `<strong><em>${inner}</em></strong>` : `<${tag}>${inner}</${tag}>`;
+        // a run longer than the delimiter keeps its extra markers as text
+        text += src.slice(i, i + run - delim.length);
+        emit(html);
+        i = close + delim.length - 1;
+        done = true;
+        break;
+      }
+      if (!done) { text += src.slice(i, i + run); i += run - 1; }
+      continue;
+    }
+
+    text += c;
+  }
+  flush();
+  return out;
+}
+
+/* ====== Rendering ====== */
+function renderBlocks(nodes, opts, tight = false) {
+  return nodes.map(n => renderBlock(n, opts, tight)).join("");
+}
+
+function renderBlock(node, opts, tight) {
+  switch (node.type) {
+    case "paragraph": {
+      const html = renderInline(node.text, opts);
+      return tight ? html : `<p>${html}</p>`;
+    }
+    case "heading": return `<h${node.level}>${renderInline(node.text, opts)}</h${node.level}>`;
+    case "hr": return "<hr>";
+    case "code": {
+      const lang = /^[\w+-]+$/.test(node.lang) ? ` class="language-${node.lang.toLowerCase()}"` : "";
+      return `<pre><code${lang}>${escapeHtml(node.text)}</code></pre>`;
+    }
+    case "quote": return `<blockquote>${renderBlocks(node.children, opts)}</blockquote>`;
+    case "list": {
+      const tag = node.ordered ? "ol" : "ul";
+      const start = node.ordered && node.start !== 1 ? ` start="${node.start}"` : "";
+      const tasks = node.items.some(it => it.task) ? ' class="task-list"' : "";
+      const items = node.items.map(it => {
+        const box = it.task ? `<input type="checkbox" disabled${it.task.checked ? " checked" : ""}> ` : "";
+        return `<li${it.task ? ' class="task"' : ""}>${box}${renderBlocks(it.children, opts, !node.loose)}</li>`;
+      }).join("");
+      return `<${tag}${start}${tasks}>${items}</${tag}>`;
+    }
+    case "table": {
+      const cell = (tag, text, c) => `<${tag}${node.aligns[c] ? ` style="text-align:${node.aligns[c]}"` : ""}>${renderInline(text, opts)}</${tag}>`;
+      const head = `<tr>${node.header.map((t, c) => cell("th", t, c)).join("")}</tr>`;
+      const body = node.rows.map(r => `<tr>${r.map((t, c) => cell("td", t, c)).join("")}</tr>`).join("");
+      return `<div class="table-wrap"><table><thead>${head}</thead>${body ? `<tbody>${body}</tbody>` : ""}</table></div>`;
+    }
+    default: return "";
+  }
+}
+
+/* ====== Sanitiser ====== */
+// Tag → attributes it may keep; everything else is dropped (text content stays, escaped)
+const ALLOWED_TAGS = {
+  p: [], br: [], hr: [], strong: [], em: [], del: [], blockquote: [], pre: [], sup: ["class"],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  code: ["class"], ul: ["class"], ol: ["start", "class"], li: ["class"],
+  a: ["href", "title", "target", "rel"],
+  img: ["src", "alt", "title", "loading"],
+  input: ["type", "checked", "disabled"],
+  div: ["class"], table: [], thead: [], tbody: [], tr: [], th: ["style"], td: ["style"]
+};
+const VOID_TAGS = new Set(["br", "hr", "img", "input"]);
+// Elements whose content is code or raw text: dropped whole, not just their tags
+// (an unclosed one takes everything after it, as a browser would)
+const DROPPED_ELEMENTS = /<(script|style|iframe|template|noscript|textarea)\b[^>]*>[\s\S]*?(?:<\/\1\s*>|$)/gi;
+const BOOLEAN_ATTRS = new Set(["checked", "disabled"]);
+const ATTR_RULES = {
+  class: (v, tag) => ({ code: /^language-[\w+-]+$/, ul: /^task-list$/, ol: /^task-list$/, li: /^task$/, div: /^table-wrap$/, sup: /^fn-ref$/ })[tag]?.test(v),
+  style: (v) => /^text-align:(left|right|center)$/.test(v),
+  start: (v) => /^\d{1,9}$/.test(v),
+  type: (v) => v === "checkbox",
+  target: (v) => v === "_blank",
+  rel: (v) => v === "noopener noreferrer",
+  loading: (v) => v === "lazy",
+  checked: (v) => v === "" || v === "checked",
+  disabled: (v) => v === "" || v === "disabled"
+};
+
+/**
+ * Keep only allow-listed tags/attributes; hrefs and image sources must pass the
+ * same URL rules as the renderer. Script-like elements go with their content.
+ * Stray "<"/">" are escaped.
+ */
+export function sanitizeHtml(html, { imageHosts = [] } = {}) {
+  const opts = { imageHosts };
+  // Until nothing changes, so removing one can't splice the halves of another together
+  let text = String(html);
+  for (let prev; prev !== text;) {
+    prev = text;
+    text = text.replace(DROPPED_ELEMENTS, "");
+  }
+  return text.replace(/<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>|[<>]/g, (m, close, name, attrs) => {
+    if (!name) return m === "<" ? "&lt;" : "&gt;";
+    const tag = name.toLowerCase();
+    const allowed = ALLOWED_TAGS[tag];
+    if (!allowed) return "";
+    if (close) return VOID_TAGS.has(tag) ? "" : `</${tag}>`;
+
+    const kept = new Map();
+    for (const [, rawName, , dq, sq, bare] of attrs.matchAll(/([^\s"'<>\/=]+)(\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+      const attr = rawName.toLowerCase();
+      if (!allowed.includes(attr) || kept.has(attr)) continue;
+      const value = decodeEntities(dq ?? sq ?? bare ?? "");
+      const ok = attr === "href" ? safeUrl(value, "link", opts)
+        : attr === "src" ? safeUrl(value, "image", opts)
+        : attr === "alt" || attr === "title" ? true
+        : ATTR_RULES[attr]?.(value, tag);
+      if (ok) kept.set(attr, BOOLEAN_ATTRS.has(attr) ? "" : value);
+    }
+    if (tag === "a" && kept.has("target")) kept.set("rel", "noopener noreferrer");
+    if (tag === "input") kept.set("disabled", "");
+    if (tag === "img" && !kept.has("src")) return "";
+
+    const out = [...kept].map(([k, v]) => (BOOLEAN_ATTRS.has(k) ? ` ${k}` : ` ${k}="${escapeHtml(v)}"`)).join("");
+    return `<${tag}${out}>`;
+  });
+}
+
+/**
+ * Render agent/user Markdown to safe HTML.
+ * options.imageHosts — hosts images may be embedded from ("*.example.com" for subdomains)
+ * options.breaks     — single newlines become <br> (default true: chat text is line-oriented)
+ */
+export function renderMarkdown(md, { imageHosts = [], breaks = true } = {}) {
+  const opts = { imageHosts, breaks };
+  const lines = String(md ?? "").replace(/\r\n?/g, "\n").replace(/\t/g, "    ").split("\n");
+  return sanitizeHtml(renderBlocks(parseBlocks(lines), opts), opts);
+}
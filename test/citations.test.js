@@ -0,0 +1,64 @@
+// test/citations.test.js
+// Agent citation markers: footnote numbering and labels for whole messages, and
+// the streaming filter — markers split across deltas, a 【 that never closes,
+// and what's left over when the message ends.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CITATION_MARKER_MAX, createCitationFilter, projectCitations, stripAgentCitations } from "../lib/citations.js";
+
+const stream = (filter, chunks) => chunks.map(c => filter.push(c)).join("") + filter.flush();
+
+test("markers become footnotes numbered by first appearance, labelled from their annotation", () => {
+  const text = "Returns take 30 days 【4:0†returns-policy.pdf】. See the site 【4:1†source】 and again 【4:0†returns-policy.pdf】.";
+  const annotations = [
+    { type: "file_citation", text: "【4:0†returns-policy.pdf】", file_citation: { file_id: "assistant-file-1" } },
+    { type: "url_citation", text: "【4:1†source】", url_citation: { url: "https://www.halfords.com/returns", title: "Returns" } }
+  ];
+  assert.deepEqual(projectCitations(text, annotations), {
+    text: "Returns take 30 days [^1]. See the site [^2] and again [^1].",
+    citations: [
+      { n: 1, type: "file", title: "returns-policy.pdf", fileId: "assistant-file-1" },
+      { n: 2, type: "url", title: "Returns", url: "https://www.halfords.com/returns" }
+    ]
+  });
+});
+
+test("strip mode drops markers and lists no citations", () => {
+  assert.deepEqual(projectCitations("Open 9–5 【1:0†hours.md】 daily.", [], "strip"), { text: "Open 9–5 daily.", citations: [] });
+  assert.equal(stripAgentCitations(" a 【x】 b "), "a b");
+});
+
+test("a marker split across deltas is held until it closes, then numbered", () => {
+  const filter = createCitationFilter();
+  assert.equal(filter.push("Fitting is free 【4:0"), "Fitting is free ");
+  assert.equal(filter.push("†fitting.pdf】 with any"), "[^1] with any");
+  assert.equal(filter.push(" battery 【4:0†fitting.pdf】."), " battery [^1].");
+  assert.equal(filter.flush(), "");
+
+  filter.reset();
+  assert.equal(stream(filter, ["again 【9:9", "†other】"]), "again [^1]");
+});
+
+test("the streaming filter strips markers in strip mode", () => {
+  assert.equal(stream(createCitationFilter({ mode: "strip" }), ["a 【1:", "0†x】b"]), "a b");
+});
+
+test("a lone 【 is released once it's too far back to open a marker, and later markers still work", () => {
+  const filter = createCitationFilter();
+  assert.equal(filter.push("Prices 【 vary by store"), "Prices ");
+  const long = " and size".repeat(Math.ceil(CITATION_MARKER_MAX / 9));
+  assert.equal(filter.push(long), "【 vary by store" + long);
+  assert.equal(filter.push(" 【2:0†prices"), " ");
+  assert.equal(filter.push(".pdf】"), "[^1]");
+  assert.equal(filter.flush(), "");
+});
+
+test("a 【 still open when the message ends goes out as plain text", () => {
+  const filter = createCitationFilter();
+  assert.equal(filter.push("Sizes: 【"), "Sizes: ");
+  assert.equal(filter.push("S, M"), "");
+  assert.equal(filter.flush(), "【S, M");
+  assert.equal(filter.flush(), "");
+  assert.equal(filter.push("next"), "next");
+});
@@ -0,0 +1,77 @@
+// test/csv.test.js
+// The admin CSV exports: quoting, and customer text that a spreadsheet would
+// otherwise run as a formula — on its own and in the feedback and guardrail
+// event exports.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { csvCell, toCsv } from "../lib/csv.js";
+import { startProxy } from "./support/proxy.js";
+
+test("cells with commas, quotes or line breaks are quoted", () => {
+  assert.equal(csvCell("plain"), "plain");
+  assert.equal(csvCell('say "hi", then go'), '"say ""hi"", then go"');
+  assert.equal(csvCell("two\nlines"), '"two\nlines"');
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(undefined), "");
+  assert.equal(csvCell(4), "4");
+});
+
+test("text a spreadsheet would run as a formula gets a leading quote", () => {
+  assert.equal(csvCell("=1+1"), "'=1+1");
+  assert.equal(csvCell("+44 7700 900123"), "'+44 7700 900123");
+  assert.equal(csvCell("-2+3"), "'-2+3");
+  assert.equal(csvCell("@SUM(A1:A9)"), "'@SUM(A1:A9)");
+  assert.equal(csvCell("\t=cmd"), "'\t=cmd");
+  assert.equal(csvCell("\r=cmd"), "\"'\r=cmd\"");
+  assert.equal(csvCell('=HYPERLINK("https://evil.example","Refund")'), '"\'=HYPERLINK(""https://evil.example"",""Refund"")"');
+  assert.equal(csvCell("a = b"), "a = b");
+  assert.equal(csvCell(-3), "-3");
+});
+
+test("toCsv writes a header row and CRLF-terminated rows", () => {
+  assert.equal(toCsv(["id", "comment"], [{ id: 1, comment: "=2*3" }, { id: 2 }]), "id,comment\r\n1,'=2*3\r\n2,\r\n");
+});
+
+test("the feedback export neutralises formulas in comments", async (t) => {
+  const proxy = await startProxy(t, { ADMIN_API_KEY: "admin-key" });
+  const started = await proxy.request("/api/threads-runs", { method: "POST", body: { text: "Where's my order?" } });
+  const { cookie } = started;
+  const threadId = started.json.thread.id;
+  for (const comment of ['=HYPERLINK("https://evil.example","Refund")', "@SUM(1+1)", "Great, thanks"]) {
+    const res = await proxy.request("/api/feedback", { method: "POST", cookie, body: { threadId, rating: 4, comment } });
+    assert.equal(res.status, 200, res.text);
+  }
+
+  const csv = await proxy.request("/api/feedback/export?format=csv", { headers: { "x-api-key": "admin-key" } });
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  const rows = csv.text.trimEnd().split("\r\n");
+  assert.equal(rows[0], "id,createdAt,threadId,runId,messageId,topic,rating,comment,message");
+  assert.equal(rows.length, 4);
+  assert.ok(rows[1].includes(',4,"\'=HYPERLINK(""https://evil.example"",""Refund"")",'), rows[1]);
+  assert.ok(rows[2].includes(",4,'@SUM(1+1),"), rows[2]);
+  assert.ok(rows[3].includes(',4,"Great, thanks",'), rows[3]);
+});
+
+test("the guardrail events export neutralises formulas in excerpts", async (t) => {
+  const proxy = await startProxy(t, { ADMIN_API_KEY: "admin-key" });
+  const sent = await proxy.request("/api/threads-runs", { method: "POST", body: { text: "=shit service, where's my order?" } });
+  assert.equal(sent.status, 200, sent.text);
+
+  // Events are appended after the response
+  let csv;
+  for (let i = 0; i < 100; i++) {
+    csv = await proxy.request("/api/guardrails/events?format=csv&rule=profanity", { headers: { "x-api-key": "admin-key" } });
+    if (csv.text.trimEnd().split("\r\n").length > 1) break;
+    await sleep(20);
+  }
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  const rows = csv.text.trimEnd().split("\r\n");
+  assert.equal(rows[0], "id,createdAt,requestId,direction,rule,type,action,threadId,messageId,assistant,excerpt");
+  assert.equal(rows.length, 2);
+  assert.ok(rows[1].includes(",input,profanity,words,rewrite,"), rows[1]);
+  assert.ok(rows[1].endsWith(`,"'=shit service, where's my order?"`), rows[1]);
+});
@@ -0,0 +1,30 @@
+// test/errors.test.js
+// Requests that fail before any route runs: bodies the JSON parser refuses
+// get a 4xx in the usual { error: { message, requestId } } shape and a log
+// line, rather than Express's HTML error page.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startProxy } from "./support/proxy.js";
+
+test("a malformed or oversized JSON body gets a JSON 400 / 413 with the request id", async (t) => {
+  const proxy = await startProxy(t);
+  const json = { "content-type": "application/json" };
+
+  const malformed = await proxy.request("/api/threads-runs", { method: "POST", headers: json, body: '{"text": "hi"' });
+  assert.equal(malformed.status, 400);
+  assert.match(malformed.headers.get("content-type"), /^application\/json/);
+  assert.deepEqual(malformed.json, { error: { message: "Malformed JSON body", requestId: malformed.headers.get("x-request-id") } });
+
+  const huge = await proxy.request("/api/threads-runs", { method: "POST", headers: json, body: JSON.stringify({ text: "x".repeat(1_100_000) }) });
+  assert.equal(huge.status, 413);
+  assert.deepEqual(huge.json, { error: { message: "Request body too large", requestId: huge.headers.get("x-request-id") } });
+
+  const refused = await proxy.logged(l => l.msg === "request body refused", { count: 2 });
+  assert.deepEqual(refused.map(l => [l.level, l.type, l.status, l.requestId]), [
+    ["warn", "entity.parse.failed", 400, malformed.headers.get("x-request-id")],
+    ["warn", "entity.too.large", 413, huge.headers.get("x-request-id")]
+  ]);
+  const requests = await proxy.logged(l => l.msg === "request" && l.requestId === malformed.headers.get("x-request-id"));
+  assert.deepEqual(requests.map(l => [l.level, l.status]), [["warn", 400]]);
+});
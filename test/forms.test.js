@@ -0,0 +1,131 @@
+// test/forms.test.js
+// Mini-form submissions: required fields, formats and their normalised values,
+// options and checkboxes, dotted names; plus the per-locale view and the
+// startup checks on definitions (the shipped ones included).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { checkFormDefinition, fillTemplate, loadFormDefinitions, localiseForm, publicFormDef, validateForm } from "../lib/forms.js";
+
+const FORMS_DIR = fileURLToPath(new URL("../public/forms", import.meta.url));
+
+// Error messages as "key label/max" so the tests can see what was asked for
+const message = (key, vars) => [key, vars.label, vars.max].filter(v => v !== undefined).join(" ");
+
+const signup = {
+  name: "signup",
+  fields: [
+    { name: "firstName", label: "First name", required: true, maxLength: 5 },
+    { name: "contact.email", label: "Email", required: true, format: "email" },
+    { name: "contact.phone", label: "Phone", format: "phone" },
+    { name: "address.postcode", label: "Postcode", format: "postcode" },
+    { name: "vehicle.vrn", label: "Reg", format: "vrn" },
+    { name: "mileage", label: "Mileage", format: "mileage" },
+    { name: "store", label: "Store", type: "select", options: ["leeds", { value: "york", label: "York" }] },
+    { name: "terms", label: "Terms", type: "checkbox", required: true },
+    { name: "marketing", label: "Marketing", type: "checkbox" }
+  ],
+  message: "Sign me up: {{firstName}} {{contact.email}}"
+};
+
+test("a valid submission comes back normalised and nested on dotted names", () => {
+  const { data, errors } = validateForm(signup, {
+    firstName: "  Jo ",
+    "contact.email": "Jo@Example.COM",
+    "contact.phone": "(07700) 900-123",
+    "address.postcode": "sw1a1aa",
+    "vehicle.vrn": " ab12   cde ",
+    mileage: "12,345",
+    store: "york",
+    terms: "on",
+    marketing: "no"
+  }, message);
+  assert.deepEqual(errors, {});
+  assert.deepEqual(data, {
+    firstName: "Jo",
+    contact: { email: "jo@example.com", phone: "07700900123" },
+    address: { postcode: "SW1A 1AA" },
+    vehicle: { vrn: "AB12 CDE" },
+    mileage: "12345",
+    store: "york",
+    terms: true,
+    marketing: false
+  });
+});
+
+test("each field reports its first problem", () => {
+  const { errors } = validateForm(signup, {
+    firstName: "Josephine",
+    "contact.email": "not-an-email",
+    "contact.phone": "12345",
+    "address.postcode": "XX1",
+    "vehicle.vrn": "ABCDEFG",
+    mileage: "lots",
+    store: "paris",
+    terms: "false"
+  }, message);
+  assert.deepEqual(errors, {
+    firstName: "validation.tooLong First name 5",
+    "contact.email": "validation.email",
+    "contact.phone": "validation.phone",
+    "address.postcode": "validation.postcode",
+    "vehicle.vrn": "validation.vrn",
+    mileage: "validation.mileage",
+    store: "validation.choose store",
+    terms: "validation.required Terms"
+  });
+});
+
+test("missing input: required fields fail, optional ones are empty", () => {
+  const { data, errors } = validateForm(signup, undefined, message);
+  assert.deepEqual(errors, {
+    firstName: "validation.required First name",
+    "contact.email": "validation.required Email",
+    terms: "validation.required Terms"
+  });
+  assert.equal(data.contact.phone, "");
+  assert.equal(data.marketing, false);
+});
+
+test("translations replace labels and options but not the message", () => {
+  const def = {
+    ...signup,
+    translations: { cy: { title: "Ymuno", fields: { store: { label: "Siop", options: { york: "Efrog" } } } } }
+  };
+  const cy = localiseForm(def, "cy");
+  assert.equal(cy.title, "Ymuno");
+  assert.equal(cy.message, signup.message);
+  const store = cy.fields.find(f => f.name === "store");
+  assert.deepEqual([store.label, store.options], ["Siop", ["leeds", { value: "york", label: "Efrog" }]]);
+  assert.equal(localiseForm(def, "fr"), def);
+
+  assert.equal(validateForm(cy, { store: "madrid" }, message).errors.store, "validation.choose siop");
+});
+
+test("templates fill dotted paths and leave missing ones empty", () => {
+  assert.equal(fillTemplate("Hi {{ name }}, {{contact.email}}{{nope.x}}", { name: "Jo", contact: { email: "jo@example.com" } }), "Hi Jo, jo@example.com");
+});
+
+test("definitions are checked at startup", () => {
+  const check = (def) => () => checkFormDefinition(def, "x.json", { hasLocale: (l) => l === "cy" });
+  assert.doesNotThrow(check(signup));
+  assert.throws(check({ ...signup, name: "Sign Up" }), /x\.json: name must be/);
+  assert.throws(check({ ...signup, fields: [] }), /fields must be a non-empty array/);
+  assert.throws(check({ ...signup, fields: [{ name: "a", format: "iban" }] }), /unknown format "iban"/);
+  assert.throws(check({ ...signup, fields: [{ name: "a", type: "select" }] }), /select "a" needs options/);
+  assert.throws(check({ ...signup, tool: "save" }), /exactly one of message or tool/);
+  assert.throws(check({ ...signup, message: undefined, tool: "save" }), /tool forms need reply\.ok/);
+  assert.throws(check({ ...signup, translations: { fr: {} } }), /translations for "fr"/);
+  assert.throws(check({ ...signup, translations: { cy: { message: "x" } } }), /can't change message/);
+  assert.throws(check({ ...signup, translations: { cy: { fields: { nope: {} } } } }), /unknown field "nope"/);
+});
+
+test("the shipped definitions load, and the browser only sees what it renders", () => {
+  const forms = loadFormDefinitions(FORMS_DIR, { hasLocale: (l) => ["en", "cy"].includes(l) });
+  assert.ok(forms.has("track-order"));
+  const shown = publicFormDef(forms.get("track-order"));
+  assert.equal(shown.message, undefined);
+  assert.deepEqual(shown.aliases, ["wimo"]);
+  assert.deepEqual(loadFormDefinitions(FORMS_DIR + "-missing"), new Map());
+});
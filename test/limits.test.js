@@ -0,0 +1,74 @@
+// test/limits.test.js
+// The rate limiter in front of /api, through the real middleware stack: each
+// route's own quota on top of "api", per session and per IP, per thread for
+// threadRuns, the 429 body, and requests let through while Redis is down.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { startProxy } from "./support/proxy.js";
+
+test("a route's own quota runs out without touching other routes, with a 429 saying when to retry", async (t) => {
+  const proxy = await startProxy(t, { RATE_LIMITS: "ping=2/1m", RATE_LIMIT_IP_FACTOR: "5" });
+  const { cookie } = await proxy.request("/api/threads-runs", { method: "POST", body: { text: "Hello" } });
+  assert.ok(cookie);
+
+  for (let i = 0; i < 2; i++) assert.equal((await proxy.request("/api/ping", { cookie })).status, 200);
+  const limited = await proxy.request("/api/ping", { cookie });
+  assert.equal(limited.status, 429);
+  const retryAfter = Number(limited.headers.get("retry-after"));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60, String(retryAfter));
+  assert.deepEqual(Object.keys(limited.json.error).sort(), ["message", "requestId", "retryAfter"]);
+  assert.equal(limited.json.error.retryAfter, retryAfter);
+  assert.equal(limited.json.error.requestId, limited.headers.get("x-request-id"));
+  assert.ok(limited.json.error.message.length > 0);
+
+  // Only "api" applies here, and it has plenty left
+  assert.equal((await proxy.request("/api/assistants", { cookie })).status, 200);
+  // Another session has its own allowance
+  assert.equal((await proxy.request("/api/ping")).status, 200);
+
+  const welsh = await proxy.request("/api/ping", { cookie, headers: { "accept-language": "cy" } });
+  assert.equal(welsh.status, 429);
+  assert.notEqual(welsh.json.error.message, limited.json.error.message);
+});
+
+test("dropping the cookie doesn't buy a fresh allowance: the IP quota is the factor times the count", async (t) => {
+  const proxy = await startProxy(t, { RATE_LIMITS: "ping=2/1m", RATE_LIMIT_IP_FACTOR: "2" });
+  const statuses = [];
+  for (let i = 0; i < 5; i++) statuses.push((await proxy.request("/api/ping")).status);
+  assert.deepEqual(statuses, [200, 200, 200, 200, 429]);
+});
+
+test("threadRuns counts per conversation", async (t) => {
+  const proxy = await startProxy(t, { RATE_LIMITS: "threadRuns=1/1h" });
+  const first = await proxy.request("/api/threads-runs", { method: "POST", body: { text: "Hello" } });
+  const second = await proxy.request("/api/threads-runs", { method: "POST", body: { text: "Hello again" }, cookie: first.cookie });
+  const startRun = (started) => proxy.request("/api/start-run", { method: "POST", cookie: first.cookie, body: { threadId: started.json.thread.id } });
+
+  assert.notEqual((await startRun(first)).status, 429);
+  const limited = await startRun(first);
+  assert.equal(limited.status, 429);
+  assert.ok(limited.json.error.retryAfter > 60);
+  assert.notEqual((await startRun(second)).status, 429, "the other thread has its own count");
+});
+
+test("with Redis unreachable requests are let through rather than refused", async (t) => {
+  const closed = net.createServer();
+  await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+
+  const proxy = await startProxy(t, {
+    RATE_LIMIT_STORE: "redis",
+    REDIS_URL: `redis://127.0.0.1:${port}`,
+    RATE_LIMITS: "ping=1/1m",
+    RATE_LIMIT_IP_FACTOR: "1"
+  });
+  assert.ok(proxy.logs.some(l => /^\[limits\] redis store/.test(l.msg)));
+  const statuses = [];
+  for (let i = 0; i < 3; i++) statuses.push((await proxy.request("/api/ping")).status);
+  assert.deepEqual(statuses, [200, 200, 200]);
+  const storeErrors = await proxy.logged(l => l.level === "error" && /error from store, allowing request/.test(l.msg));
+  assert.ok(storeErrors.length > 0 && /ECONNREFUSED/.test(storeErrors[0].msg));
+});
@@ -0,0 +1,88 @@
+// test/markdown.test.js
+// The cases the chat renderer has to get right: GFM tables, nested and task
+// lists, and never letting unsafe links, images or raw HTML through.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderMarkdown, sanitizeHtml } from "../public/markdown.js";
+
+const render = (md) => renderMarkdown(md, { imageHosts: ["www.halfords.com"] });
+
+test("tables keep header, alignment and inline formatting", () => {
+  const html = render("| Day | Hours |\n| :-- | --: |\n| Saturday | **08:00–18:00** |");
+  assert.equal(html,
+    '<div class="table-wrap"><table><thead><tr><th style="text-align:left">Day</th><th style="text-align:right">Hours</th></tr></thead>' +
+    '<tbody><tr><td style="text-align:left">Saturday</td><td style="text-align:right"><strong>08:00–18:00</strong></td></tr></tbody></table></div>');
+});
+
+test("a pipe without a delimiter row isn't a table", () => {
+  assert.equal(render("either | or"), "<p>either | or</p>");
+});
+
+test("nested and mixed lists nest by indentation", () => {
+  assert.equal(render("- one\n  - two\n    1. three\n- four"),
+    "<ul><li>one<ul><li>two<ol><li>three</li></ol></li></ul></li><li>four</li></ul>");
+});
+
+test("task lists render disabled checkboxes", () => {
+  assert.equal(render("- [x] done\n- [ ] todo"),
+    '<ul class="task-list"><li class="task"><input type="checkbox" disabled checked> done</li>' +
+    '<li class="task"><input type="checkbox" disabled> todo</li></ul>');
+});
+
+test("http(s) links open in a new tab with the query string escaped", () => {
+  assert.equal(render("[help](https://www.halfords.com/help?a=1&b=2)"),
+    '<p><a href="https://www.halfords.com/help?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">help</a></p>');
+});
+
+test("javascript: and data: links are dropped, keeping their text", () => {
+  for (const href of ["javascript:alert(1)", "JaVaScRiPt:alert(1)", "jav&#x61;script:alert(1)", " javascript:alert(1)", "data:text/html;base64,PHNjcmlwdD4="]) {
+    assert.equal(render(`[click](${href})`), "<p>click</p>", href);
+  }
+});
+
+test("images only load from allowed hosts; others become links, data: URLs nothing", () => {
+  assert.equal(render("![diagram](https://www.halfords.com/d.png)"),
+    '<p><img src="https://www.halfords.com/d.png" alt="diagram" loading="lazy"></p>');
+  assert.equal(render("![diagram](https://evil.example/d.png)"),
+    '<p><a href="https://evil.example/d.png" target="_blank" rel="noopener noreferrer">diagram</a></p>');
+  assert.equal(render("![diagram](data:image/png;base64,AAAA)"), "<p>diagram</p>");
+  assert.equal(render("![diagram](javascript:alert(1))"), "<p>diagram</p>");
+});
+
+test("raw HTML is shown as text, in prose and in code", () => {
+  assert.equal(render('<script>alert(1)</script> <img src=x onerror="alert(1)"> <b>hi</b>'),
+    "<p>&lt;script&gt;alert(1)&lt;/script&gt; &lt;img src=x onerror=&quot;alert(1)&quot;&gt; &lt;b&gt;hi&lt;/b&gt;</p>");
+  assert.equal(render("```\n<b>x</b>\n```"), "<pre><code>&lt;b&gt;x&lt;/b&gt;</code></pre>");
+});
+
+test("bare URLs are linked without trailing punctuation", () => {
+  assert.equal(render("See https://www.halfords.com/x."),
+    '<p>See <a href="https://www.halfords.com/x" target="_blank" rel="noopener noreferrer">https://www.halfords.com/x</a>.</p>');
+});
+
+test("sanitizeHtml strips scripts, handlers, styles and unsafe URLs", () => {
+  const html = sanitizeHtml(
+    '<a href="javascript:alert(1)" onclick="x()">t</a><img src="data:image/png;base64,AA"><script>x</script>' +
+    '<p style="color:red">p</p><input type="checkbox" checked disabled>'
+  );
+  assert.equal(html, '<a>t</a><p>p</p><input type="checkbox" checked disabled>');
+});
+
+test("sanitizeHtml drops script-like elements with their content", () => {
+  for (const tag of ["script", "style", "iframe", "template", "noscript", "textarea"]) {
+    assert.equal(sanitizeHtml(`<p>a</p><${tag} id="x">body <b>bold</b></${tag}><p>b</p>`), "<p>a</p><p>b</p>", tag);
+  }
+  assert.equal(sanitizeHtml("<SCRIPT type=module>alert(1)</script >ok"), "ok");
+  assert.equal(sanitizeHtml("<p>kept</p><noscript>everything after an unclosed one"), "<p>kept</p>");
+  assert.equal(sanitizeHtml("<scr<script>x</script>ipt>alert(1)</script>done"), "done");
+  assert.equal(sanitizeHtml("</style>stray closing tag"), "stray closing tag");
+});
+
+test("sanitizeHtml keeps images on a wildcard-allowed host and drops their handlers", () => {
+  assert.equal(
+    sanitizeHtml('<img src="https://www.halfords.com/a.png" alt="a" onerror="x()">', { imageHosts: ["*.halfords.com"] }),
+    '<img src="https://www.halfords.com/a.png" alt="a">'
+  );
+  assert.equal(sanitizeHtml('<img src="https://halfords.com.evil.example/a.png">', { imageHosts: ["*.halfords.com"] }), "");
+});
@@ -0,0 +1,83 @@
+// test/pdf.test.js
+// The transcript PDF writer: a file readers can open (cross-reference table and
+// stream lengths that point at the right bytes) and text that can't break out
+// of its string.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderPdf, toWinAnsi, wrapPdfLine } from "../lib/pdf.js";
+
+const render = (blocks, title = "Your chat with Halfords") =>
+  renderPdf({ title, blocks, footer: (page, pages) => `Page ${page} of ${pages}` }).toString("latin1");
+
+// Shown text, one entry per BT … Tj ET operation
+const shown = (pdf) => [...pdf.matchAll(/\((.*)\) Tj ET/g)].map(m => m[1]);
+
+test("the xref table gives each object's byte offset", () => {
+  const pdf = render([
+    { text: "Wheel alignment (front) – £39.99 € “quoted” Llanfair ŵ", bold: true, size: 14 },
+    { text: "A paragraph long enough to wrap. ".repeat(40) }
+  ]);
+  const startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(pdf)?.[1]);
+  assert.equal(pdf.slice(startxref, startxref + 5), "xref\n");
+  const [, first, count] = /^xref\n(\d+) (\d+)\n/.exec(pdf.slice(startxref));
+  assert.equal(Number(first), 0);
+  const entries = pdf.slice(startxref).split("\n").slice(2, 2 + Number(count));
+  assert.equal(entries[0], "0000000000 65535 f ");
+  for (let i = 1; i < entries.length; i++) {
+    assert.match(entries[i], /^\d{10} 00000 n $/);
+    const at = Number(entries[i].slice(0, 10));
+    assert.equal(pdf.slice(at, at + `${i} 0 obj\n`.length), `${i} 0 obj\n`, `object ${i}`);
+  }
+  assert.match(pdf, new RegExp(`trailer\\n<< /Size ${count} /Root 1 0 R /Info 5 0 R >>`));
+});
+
+test("each stream's /Length is its length in bytes", () => {
+  const pdf = render([{ text: "Café – “MOT” • 10% off…" }, { text: "Second block" }]);
+  const streams = [...pdf.matchAll(/<< \/Length (\d+) >>\nstream\n/g)];
+  assert.ok(streams.length);
+  for (const m of streams) {
+    const start = m.index + m[0].length;
+    assert.equal(pdf.slice(start + Number(m[1]), start + Number(m[1]) + 10), "\nendstream");
+  }
+});
+
+test("brackets and backslashes are escaped in shown text and the title", () => {
+  const pdf = render([{ text: String.raw`Torque (Nm) \ see manual (p. 4) :-)` }], String.raw`Chat (copy) \ 1`);
+  assert.equal(shown(pdf)[0], String.raw`Torque \(Nm\) \\ see manual \(p. 4\) :-\)`);
+  assert.match(pdf, /\/Title \(Chat \\\(copy\\\) \\\\ 1\)/);
+});
+
+test("an unbalanced bracket or trailing backslash can't end the string early", () => {
+  const pdf = render([{ text: String.raw`) Tj ET BT /F1 40 Tf (pwned \\` }]);
+  const line = pdf.split("\n").find(l => l.startsWith("BT /F1 10 Tf"));
+  assert.equal(line, String.raw`BT /F1 10 Tf 0 g 56 772.39 Td (\) Tj ET BT /F1 40 Tf \(pwned \\\\) Tj ET`);
+});
+
+test("each line of a block starts a new line", () => {
+  const pdf = render([{ text: "Sources\n[1] Fitting guide\n[2] Price list" }]);
+  assert.deepEqual(shown(pdf), ["Sources", "[1] Fitting guide", "[2] Price list", "Page 1 of 1"]);
+});
+
+test("text that doesn't fit on a page carries on over the next, with a footer on each", () => {
+  const pdf = render(Array.from({ length: 80 }, (_v, i) => ({ text: `Message ${i + 1}` })));
+  assert.match(pdf, /\/Type \/Pages \/Kids \[6 0 R 8 0 R\] \/Count 2/);
+  const text = shown(pdf);
+  assert.deepEqual(text.filter(t => t.startsWith("Page ")), ["Page 1 of 2", "Page 2 of 2"]);
+  assert.equal(text.filter(t => t.startsWith("Message ")).length, 80);
+});
+
+test("text is mapped to WinAnsi: Latin-1 kept, accents dropped where there's no glyph", () => {
+  assert.equal(toWinAnsi("£5 café"), "£5 café");
+  assert.equal(toWinAnsi("€ “a” – b…"), "\x80 \x93a\x94 \x96 b\x85");
+  assert.equal(toWinAnsi("Llanfair ŵŷ"), "Llanfair wy");
+  assert.equal(toWinAnsi("ok 👍\u0007"), "ok ");
+  assert.equal(toWinAnsi("a\tb"), "a    b");
+});
+
+test("lines wrap at spaces, and a word too long for the line is broken", () => {
+  assert.deepEqual(wrapPdfLine("one two three", "F1", 10, 40), ["one two", "three"]);
+  const parts = wrapPdfLine("x".repeat(30), "F1", 10, 50);
+  assert.equal(parts.join(""), "x".repeat(30));
+  assert.ok(parts.length > 1 && parts.every(p => p.length * 5 <= 50));
+});
@@ -0,0 +1,85 @@
+// test/pii.test.js
+// The PII vault: values swapped for placeholders on the way upstream and back
+// again (whole messages, tool arguments, and tokens split across stream
+// deltas), the masks for cards, emails and phone numbers, and file names.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createRedactor, createTokenRestorer, createVault, maskFileName, maskPII, parsePiiPolicy, restoreDeep, restoreTokens
+} from "../lib/pii.js";
+
+const { redactForUpstream, redactValue } = createRedactor(parsePiiPolicy());
+
+test("emails and phone numbers are tokenised and restored from the thread's vault", () => {
+  const vault = createVault();
+  const text = "I'm Jo.Bloggs@example.com, call 07700 900123 or +44 7700 900456. Email jo.bloggs@example.com again.";
+  const out = redactForUpstream(text, vault);
+  assert.equal(out, "I'm [EMAIL_1], call [PHONE_1] or [PHONE_2]. Email [EMAIL_1] again.");
+  assert.equal(restoreTokens(out, vault), "I'm Jo.Bloggs@example.com, call 07700 900123 or +44 7700 900456. Email Jo.Bloggs@example.com again.");
+
+  // Another thread's vault knows none of them
+  assert.equal(restoreTokens(out, createVault()), out);
+  assert.equal(restoreTokens("[EMAIL_9] stays", vault), "[EMAIL_9] stays");
+});
+
+test("form payloads follow the field policies; tool arguments are restored deep", () => {
+  const vault = createVault();
+  const text = 'LOYALTY_SIGNUP payload: {"firstName":"Jo","lastName":"Bloggs","addressLine1":"1 High St","postcode":"SW1A 1AA","notes":"ring 07700 900123"}';
+  const out = redactForUpstream(text, vault);
+  assert.equal(out, 'LOYALTY_SIGNUP payload: {"firstName":"[FIRSTNAME_1]","lastName":"[LASTNAME_1]","addressLine1":"[ADDRESSLINE1_1]","postcode":"SW1A 1AA","notes":"ring [PHONE_1]"}');
+
+  const args = JSON.parse(out.slice(out.indexOf("{")));
+  assert.deepEqual(restoreDeep({ customer: args, ids: ["[PHONE_1]"] }, vault), {
+    customer: { firstName: "Jo", lastName: "Bloggs", addressLine1: "1 High St", postcode: "SW1A 1AA", notes: "ring 07700 900123" },
+    ids: ["07700 900123"]
+  });
+  // Tool output going back upstream is redacted with the same vault
+  assert.deepEqual(redactValue({ email: "jo@example.com", count: 2 }, vault), { email: "[EMAIL_1]", count: 2 });
+});
+
+test("a token split across stream deltas is held back until it's whole", () => {
+  const vault = createVault();
+  redactForUpstream("jo@example.com / 07700 900123", vault);
+  const tokens = createTokenRestorer(vault);
+  const out = ["We'll email [EM", "AIL_", "1] and text [PHONE_1", "]. See [note] too [", "x"].map(c => tokens.push(c));
+  assert.deepEqual(out, ["We'll email ", "", "jo@example.com and text ", "07700 900123. See [note] too ", "[x"]);
+
+  assert.equal(tokens.push(" [PHONE"), " ");
+  assert.equal(tokens.flush(), "[PHONE", "an unfinished token goes out as it is");
+  assert.equal(tokens.push("[EMAIL_1]"), "jo@example.com");
+});
+
+test("the restorer passes text through untouched without a vault", () => {
+  const tokens = createTokenRestorer(null);
+  assert.equal(tokens.push("hi [EMAIL_1] there") + tokens.flush(), "hi [EMAIL_1] there");
+});
+
+test("cards, emails and phone numbers are masked", () => {
+  assert.equal(maskPII("card 4111 1111 1111 1111 please"), "card **** 1111 please");
+  assert.equal(maskPII("card 4111-1111-1111-1111"), "card **** 1111");
+  assert.equal(maskPII("order 1234 5678 9012 3456"), "order 1234 5678 9012 3456", "not a card: fails the Luhn check");
+  assert.equal(maskPII("mail jo.bloggs@example.co.uk"), "mail j***@***.uk");
+  assert.equal(maskPII("call 07700 900123 or 0044 20 7946 0018"), "call *** 123 or *** 018");
+  assert.equal(maskPII("postcode SW1A 1AA, reg AB12 CDE"), "postcode SW1A ***, reg AB** ***");
+});
+
+test("cards are masked rather than tokenised by default, and the policy can change that", () => {
+  const vault = createVault();
+  assert.equal(redactForUpstream("pay with 4111111111111111", vault), "pay with **** 1111");
+  assert.equal(vault.byToken.size, 0);
+
+  const strict = createRedactor(parsePiiPolicy("email=mask, phone=allow, vrn=nonsense"));
+  assert.equal(strict.redactForUpstream("jo@example.com 07700 900123 AB12 CDE", createVault()), "j***@***.com 07700 900123 AB12 CDE");
+});
+
+test("uploaded file names lose directories and odd characters and have PII masked", () => {
+  assert.equal(maskFileName("..%2F..%2Fetc%2Fpasswd", "attachment.png"), "passwd");
+  assert.equal(maskFileName("receipt for jo@example.com.pdf", "attachment.pdf"), "receipt for j***@***.pdf");
+  assert.equal(maskFileName("07700 900123 quote.jpg", "attachment.jpg"), "*** 123 quote.jpg");
+  assert.equal(maskFileName("card 4111111111111111.png", "attachment.png"), "card **** 1111.png");
+  assert.equal(maskFileName("tyre<script>.png", "attachment.png"), "tyre_script_.png");
+  assert.equal(maskFileName("%E0%A4%A", "attachment.png"), "attachment.png", "undecodable");
+  assert.equal(maskFileName("", "attachment.pdf"), "attachment.pdf");
+  assert.equal(maskFileName("x".repeat(100) + ".pdf", "attachment.pdf").length, 80);
+});
@@ -0,0 +1,220 @@
+// test/redis.test.js
+// The RESP client behind RATE_LIMIT_STORE=redis, against a stub server on a
+// local port: reply parsing (including replies split across packets), AUTH
+// and SELECT from the URL, and what happens when the connection goes away.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { setTimeout as sleep } from "timers/promises";
+import { createRedisClient, createRedisLimitStore } from "../lib/redis.js";
+
+// A server that hands each command (as an array of strings) to `reply`. A
+// string answer is written as is; an array is written one chunk at a time,
+// a few milliseconds apart, so the client sees the reply in pieces.
+async function stubRedis(reply) {
+  const commands = [];
+  const sockets = new Set();
+  let connections = 0;
+  const server = net.createServer((socket) => {
+    connections++;
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let buffer = "";
+    socket.on("data", async (chunk) => {
+      buffer += chunk.toString("utf8");
+      let command;
+      while ((command = readCommand())) {
+        commands.push(command);
+        const answer = await reply(command, socket);
+        for (const part of [].concat(answer ?? [])) {
+          if (socket.destroyed) break;
+          socket.write(part);
+          if (Array.isArray(answer)) await sleep(5);
+        }
+      }
+    });
+    // Commands are arrays of bulk strings; the tests never send CRLF in an argument
+    function readCommand() {
+      const lines = buffer.split("\r\n");
+      const count = Number(lines[0]?.slice(1));
+      if (!count || lines.length < 1 + count * 2 + 1) return null;
+      const args = [];
+      for (let i = 0; i < count; i++) args.push(lines[2 + i * 2]);
+      buffer = lines.slice(1 + count * 2).join("\r\n");
+      return args;
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    commands,
+    get connections() { return connections; },
+    close() {
+      for (const s of sockets) s.destroy();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+test("parses simple, integer, bulk, nil and nested array replies", async (t) => {
+  const replies = {
+    PING: "+PONG\r\n",
+    INCR: ":42\r\n",
+    GET: "$5\r\nhello\r\n",
+    MISSING: "$-1\r\n",
+    EMPTY: "$0\r\n\r\n",
+    LIST: "*3\r\n:1\r\n$3\r\ntwo\r\n*2\r\n$-1\r\n+three\r\n"
+  };
+  const redis = await stubRedis(([name]) => replies[name]);
+  t.after(() => redis.close());
+  const client = createRedisClient(redis.url);
+
+  assert.equal(await client.command("PING"), "PONG");
+  assert.equal(await client.command("INCR"), 42);
+  assert.equal(await client.command("GET"), "hello");
+  assert.equal(await client.command("MISSING"), null);
+  assert.equal(await client.command("EMPTY"), "");
+  assert.deepEqual(await client.command("LIST"), [1, "two", [null, "three"]]);
+});
+
+test("sends arguments as length-prefixed bulk strings", async (t) => {
+  const redis = await stubRedis(() => "+OK\r\n");
+  t.after(() => redis.close());
+  const client = createRedisClient(redis.url);
+
+  await client.command("SET", "key with spaces", 12);
+  assert.deepEqual(redis.commands, [["SET", "key with spaces", "12"]]);
+});
+
+test("waits for replies split across packets, even mid-character", async (t) => {
+  const bulk = Buffer.from("$6\r\ncafé!\r\n");
+  const split = bulk.indexOf(0xc3) + 1;
+  const replies = {
+    GET: [bulk.subarray(0, 2), bulk.subarray(2, split), bulk.subarray(split)],
+    EVAL: ["*2\r\n:3", "\r\n:59", "998\r", "\n"],
+    PING: ["+PO", "NG\r\n"]
+  };
+  const redis = await stubRedis(([name]) => replies[name]);
+  t.after(() => redis.close());
+  const client = createRedisClient(redis.url);
+
+  assert.equal(await client.command("GET"), "café!");
+  assert.deepEqual(await client.command("EVAL"), [3, 59998]);
+  assert.equal(await client.command("PING"), "PONG");
+});
+
+test("several replies in one packet go to their commands in order", async (t) => {
+  let held = 0;
+  const redis = await stubRedis(() => (++held < 3 ? null : ":1\r\n$1\r\nb\r\n-ERR nope\r\n"));
+  t.after(() => redis.close());
+  const client = createRedisClient(redis.url);
+
+  const results = await Promise.allSettled([client.command("A"), client.command("B"), client.command("C")]);
+  assert.deepEqual(results.slice(0, 2).map(r => r.value), [1, "b"]);
+  assert.equal(results[2].reason.message, "Redis: ERR nope");
+});
+
+test("an error reply rejects only its own command", async (t) => {
+  const redis = await stubRedis(([name]) => (name === "BAD" ? "-WRONGTYPE Operation against a key holding the wrong kind of value\r\n" : "+OK\r\n"));
+  t.after(() => redis.close());
+  const client = createRedisClient(redis.url);
+
+  await assert.rejects(client.command("BAD"), { message: "Redis: WRONGTYPE Operation against a key holding the wrong kind of value" });
+  assert.equal(await client.command("PING"), "OK");
+  assert.equal(redis.connections, 1);
+});
+
+test("authenticates and selects the database from the URL before the first command", async (t) => {
+  const redis = await stubRedis(() => "+OK\r\n");
+  t.after(() => redis.close());
+  const url = new URL(redis.url);
+  url.username = "limiter";
+  url.password = "p@ss word";
+  url.pathname = "/3";
+  const client = createRedisClient(url.href);
+
+  await client.command("PING");
+  assert.deepEqual(redis.commands, [["AUTH", "limiter", "p@ss word"], ["SELECT", "3"], ["PING"]]);
+});
+
+test("a failed AUTH rejects the command and is retried on the next one", async (t) => {
+  let attempts = 0;
+  const redis = await stubRedis(([name]) => (name !== "AUTH" ? "+PONG\r\n" : ++attempts === 1 ? "-WRONGPASS invalid username-password pair\r\n" : "+OK\r\n"));
+  t.after(() => redis.close());
+  const client = createRedisClient(redis.url.replace("//", "//:secret@"));
+
+  await assert.rejects(client.command("PING"), { message: /WRONGPASS/ });
+  assert.equal(await client.command("PING"), "PONG");
+  assert.equal(redis.connections, 2);
+});
+
+test("a dropped connection rejects what was waiting and reconnects on the next command", async (t) => {
+  const redis = await stubRedis(([name], socket) => (name === "DROP" ? void socket.destroy() : "+PONG\r\n"));
+  t.after(() => redis.close());
+  const client = createRedisClient(redis.url);
+
+  assert.equal(await client.command("PING"), "PONG");
+  await assert.rejects(client.command("DROP"), { message: "Redis connection closed" });
+  assert.equal(await client.command("PING"), "PONG");
+  assert.equal(redis.connections, 2);
+});
+
+test("a reply that never comes times out and the next command reconnects", async (t) => {
+  const redis = await stubRedis(([name]) => (name === "SLOW" ? null : "+PONG\r\n"));
+  t.after(() => redis.close());
+  const client = createRedisClient(redis.url, { timeoutMs: 100 });
+
+  await assert.rejects(client.command("SLOW"), { message: "Redis timed out" });
+  assert.equal(await client.command("PING"), "PONG");
+  assert.equal(redis.connections, 2);
+});
+
+test("an idle connection isn't timed out", async (t) => {
+  const redis = await stubRedis(() => "+PONG\r\n");
+  t.after(() => redis.close());
+  const client = createRedisClient(redis.url, { timeoutMs: 50 });
+
+  await client.command("PING");
+  await sleep(150);
+  assert.equal(await client.command("PING"), "PONG");
+  assert.equal(redis.connections, 1);
+});
+
+test("a reply the client can't parse drops the connection", async (t) => {
+  const redis = await stubRedis(([name]) => (name === "ODD" ? "%1\r\n" : "+PONG\r\n"));
+  t.after(() => redis.close());
+  const client = createRedisClient(redis.url);
+
+  await assert.rejects(client.command("ODD"), { message: 'Redis: unexpected reply type "%"' });
+  assert.equal(await client.command("PING"), "PONG");
+  assert.equal(redis.connections, 2);
+});
+
+test("nothing listening rejects the command", async () => {
+  const redis = await stubRedis(() => null);
+  const { url } = redis;
+  await redis.close();
+  const client = createRedisClient(url);
+
+  await assert.rejects(client.command("PING"), { code: "ECONNREFUSED" });
+});
+
+test("the limit store counts with one EVAL per hit and resets from the key's TTL", async (t) => {
+  const redis = await stubRedis(([name]) => (name === "EVAL" ? "*2\r\n:2\r\n:30000\r\n" : ":1\r\n"));
+  t.after(() => redis.close());
+  const store = createRedisLimitStore(createRedisClient(redis.url), "halfords:rl:messages:session:");
+  store.init({ windowMs: 60_000 });
+  assert.equal(store.prefix, "halfords:rl:messages:session:");
+
+  const before = Date.now();
+  const { totalHits, resetTime } = await store.increment("abc");
+  assert.equal(totalHits, 2);
+  assert.ok(resetTime.getTime() >= before + 30_000 && resetTime.getTime() <= Date.now() + 30_000);
+  await store.decrement("abc");
+  await store.resetKey("abc");
+
+  const [evalCommand, ...rest] = redis.commands;
+  assert.deepEqual([evalCommand[0], ...evalCommand.slice(2)], ["EVAL", "1", "halfords:rl:messages:session:abc", "60000"]);
+  assert.deepEqual(rest, [["DECR", "halfords:rl:messages:session:abc"], ["DEL", "halfords:rl:messages:session:abc"]]);
+});
@@ -0,0 +1,127 @@
+// test/sessions.test.js
+// Session cookies and thread ownership: signatures that don't check out are
+// ignored, and a thread is only reachable from the session that created it —
+// both for the guard on its own and through the proxy's thread routes.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SESSION_COOKIE, createSessions, createThreadGuard } from "../lib/sessions.js";
+import { startProxy } from "./support/proxy.js";
+
+// Just enough of Express's req/res for the session helpers and the guard
+const fakeReq = ({ cookie, sessionId = null, body, query } = {}) => ({ headers: cookie ? { cookie } : {}, sessionId, body, query });
+function fakeRes() {
+  const res = { statusCode: 200, body: null, cookies: [] };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.append = (name, value) => { if (name === "Set-Cookie") res.cookies.push(value); return res; };
+  return res;
+}
+
+// Replace the last character of the cookie's signature
+function tamper(cookie) {
+  const last = cookie.at(-1);
+  return cookie.slice(0, -1) + (last === "A" ? "B" : "A");
+}
+
+test("an issued cookie reads back as its session; a tampered or foreign signature doesn't", () => {
+  const sessions = createSessions({ secret: "s3cret" });
+  const res = fakeRes();
+  const id = sessions.ensure(fakeReq(), res);
+  const cookie = res.cookies[0].split(";")[0];
+  assert.ok(cookie.startsWith(`${SESSION_COOKIE}=`));
+
+  assert.equal(sessions.read(fakeReq({ cookie: `theme=dark; ${cookie}` })), id);
+  assert.equal(sessions.read(fakeReq({ cookie: tamper(cookie) })), null);
+  assert.equal(sessions.read(fakeReq({ cookie: `${SESSION_COOKIE}=${id}` })), null);
+  assert.equal(sessions.read(fakeReq({ cookie: `${SESSION_COOKIE}=${id}.${sessions.sign(id).slice(1)}` })), null);
+  assert.equal(createSessions({ secret: "another" }).read(fakeReq({ cookie })), null);
+  assert.equal(sessions.read(fakeReq()), null);
+});
+
+test("a caller with a session keeps it; SameSite=None cookies are Secure and partitioned", () => {
+  const sessions = createSessions({ secret: "s3cret", sameSite: "None" });
+  const kept = fakeRes();
+  assert.equal(sessions.ensure(fakeReq({ sessionId: "abc" }), kept), "abc");
+  assert.deepEqual(kept.cookies, []);
+
+  const res = fakeRes();
+  sessions.ensure(fakeReq(), res);
+  assert.deepEqual(res.cookies[0].split("; ").slice(1), ["Path=/api", "HttpOnly", "SameSite=None", "Secure", "Partitioned"]);
+  const lax = fakeRes();
+  createSessions({ secret: "s3cret" }).ensure(fakeReq(), lax);
+  assert.deepEqual(lax.cookies[0].split("; ").slice(1), ["Path=/api", "HttpOnly", "SameSite=Lax"]);
+});
+
+test("the thread guard lets the owner through and turns everyone else away", () => {
+  const owners = new Map([["thread_1", { sessionId: "owner", lastActiveAt: Date.now() - 1000 }]]);
+  const { requireThreadOwner } = createThreadGuard(owners, { retentionMs: 60_000 });
+  const run = (req) => {
+    const res = fakeRes();
+    let passed = false;
+    requireThreadOwner(req, res, () => { passed = true; });
+    return { passed, status: res.statusCode, body: res.body };
+  };
+
+  const before = owners.get("thread_1").lastActiveAt;
+  assert.equal(run(fakeReq({ sessionId: "owner", body: { threadId: "thread_1" } })).passed, true);
+  assert.ok(owners.get("thread_1").lastActiveAt > before);
+  assert.equal(run(fakeReq({ sessionId: "owner", query: { threadId: "thread_1" } })).passed, true);
+  assert.equal(run(fakeReq({ sessionId: "someone-else" })).passed, true, "no threadId is left to the route");
+
+  for (const req of [
+    fakeReq({ sessionId: "someone-else", body: { threadId: "thread_1" } }),
+    fakeReq({ sessionId: null, query: { threadId: "thread_1" } }),
+    fakeReq({ sessionId: "owner", body: { threadId: "thread_2" } })
+  ]) {
+    assert.deepEqual(run(req), { passed: false, status: 404, body: { error: { message: "Unknown thread" } } });
+  }
+});
+
+test("a thread idle past its retention is gone: 410 once, then swept", () => {
+  const owners = new Map([
+    ["old", { sessionId: "owner", lastActiveAt: Date.now() - 120_000 }],
+    ["stale", { sessionId: "owner", lastActiveAt: Date.now() - 120_000 }],
+    ["fresh", { sessionId: "owner", lastActiveAt: Date.now() }]
+  ]);
+  const { requireThreadOwner, sweep } = createThreadGuard(owners, { retentionMs: 60_000 });
+  const res = fakeRes();
+  requireThreadOwner(fakeReq({ sessionId: "owner", body: { threadId: "old" } }), res, () => assert.fail("expired thread let through"));
+  assert.equal(res.statusCode, 410);
+  assert.equal(owners.has("old"), false);
+
+  sweep();
+  assert.deepEqual([...owners.keys()], ["fresh"]);
+});
+
+test("another session's cookie can't reach a thread through any thread route", async (t) => {
+  const proxy = await startProxy(t);
+  const started = await proxy.request("/api/threads-runs", { method: "POST", body: { text: "Do you fit wiper blades?" } });
+  assert.equal(started.status, 200);
+  const owner = started.cookie;
+  const threadId = started.json.thread.id;
+  const runId = started.json.run.id;
+  const other = (await proxy.request("/api/threads-runs", { method: "POST", body: { text: "Hello" } })).cookie;
+  assert.ok(owner && other && owner !== other);
+
+  const routes = [
+    ["/api/messages?threadId=" + threadId],
+    ["/api/append-message", { method: "POST", body: { threadId, content: "And bulbs?" } }],
+    ["/api/start-run", { method: "POST", body: { threadId } }],
+    [`/api/run-status?threadId=${threadId}&runId=${runId}`],
+    [`/api/transcript?threadId=${threadId}&format=txt`]
+  ];
+  for (const [url, options = {}] of routes) {
+    for (const [who, cookie] of [["another session", other], ["a tampered cookie", tamper(owner)], ["no cookie", undefined]]) {
+      const res = await proxy.request(url, { ...options, cookie });
+      assert.equal(res.status, 404, `${who}: ${url}`);
+      assert.deepEqual(res.json?.error?.message, "Unknown thread", `${who}: ${url}`);
+    }
+  }
+
+  // The owner still gets in (run-status before start-run, so the first run is still the one asked about)
+  for (const [url, options = {}] of [routes[0], routes[3], routes[4], routes[1]]) {
+    const res = await proxy.request(url, { ...options, cookie: owner });
+    assert.equal(res.status, 200, `owner: ${url}`);
+  }
+});
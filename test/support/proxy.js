@@ -0,0 +1,87 @@
+// test/support/proxy.js
+// Starts server.js on a free port with the mock agent and its data files in a
+// temporary directory, for tests that go through the real middleware stack.
+// The process is stopped (and the directory removed) when the test ends.
+
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { fileURLToPath } from "url";
+
+const SERVER = fileURLToPath(new URL("../../server.js", import.meta.url));
+
+// → { base, dir, logs, logged(match), request(path, { method, body, cookie, headers }) }
+export async function startProxy(t, env = {}) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "proxy-test-"));
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: "test",
+      PORT: "0",
+      AGENT_PROVIDER: "mock",
+      MOCK_STEP_MS: "5",
+      SESSION_SECRET: "test-secret",
+      FEEDBACK_FILE: path.join(dir, "feedback.jsonl"),
+      GUARDRAIL_EVENTS_FILE: path.join(dir, "guardrail-events.jsonl"),
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  t.after(async () => {
+    if (child.exitCode === null) {
+      child.kill();
+      await new Promise((resolve) => child.once("exit", resolve));
+    }
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  // Log lines (stdout and stderr) are JSON; anything else (a crash) is kept as { msg }
+  const logs = [];
+  const port = await new Promise((resolve, reject) => {
+    for (const stream of [child.stdout, child.stderr]) {
+      let out = "";
+      stream.on("data", (chunk) => {
+        out += chunk;
+        let nl;
+        while ((nl = out.indexOf("\n")) >= 0) {
+          const line = out.slice(0, nl);
+          out = out.slice(nl + 1);
+          let entry;
+          try { entry = JSON.parse(line); } catch { entry = { msg: line }; }
+          logs.push(entry);
+          const listening = /^\[proxy\] listening on (\d+)$/.exec(entry.msg || "");
+          if (listening) resolve(Number(listening[1]));
+        }
+      });
+    }
+    child.once("exit", (code) => reject(new Error(`server.js exited with ${code}: ${logs.map(l => l.msg).join("\n")}`)));
+  });
+  const base = `http://127.0.0.1:${port}`;
+
+  async function request(url, { method = "GET", body, cookie, headers = {} } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body !== undefined && typeof body !== "string" ? { "content-type": "application/json" } : {}),
+        ...(cookie ? { cookie } : {}),
+        ...headers
+      },
+      body: body === undefined || typeof body === "string" ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON */ }
+    return { status: res.status, headers: res.headers, text, json, cookie: res.headers.get("set-cookie")?.split(";")[0] || null };
+  }
+
+  // Log lines can land a moment after the response: wait for `count` matching ones
+  async function logged(match, { count = 1, timeoutMs = 2000 } = {}) {
+    const until = Date.now() + timeoutMs;
+    while (logs.filter(match).length < count && Date.now() < until) await sleep(10);
+    return logs.filter(match);
+  }
+
+  return { base, dir, logs, logged, request };
+}
@@ -0,0 +1,213 @@
+// test/upstream.test.js
+// The upstream client against a stubbed fetch: which failures are retried and
+// how long it waits (jitter, Retry-After), the token refresh on 401,
+// timeouts, and the circuit breaker opening, going half-open and closing.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { createCircuitBreaker, createUpstreamFetch, retryDelay } from "../lib/upstream.js";
+
+const URL_ = "https://foundry.test/api/projects/p/threads/t1/messages";
+
+const reply = (status, headers = {}) => new Response(JSON.stringify({ status }), { status, headers: { "Content-Type": "application/json", ...headers } });
+
+// fetch stub answering from `script` in turn (a status, [status, headers], an
+// Error to throw, or a function of the request); records each request
+function stubFetch(script) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, ...init });
+    const step = script[Math.min(calls.length - 1, script.length - 1)];
+    if (typeof step === "function") return step(url, init);
+    if (step instanceof Error) throw step;
+    return Array.isArray(step) ? reply(...step) : reply(step);
+  };
+  return { fetch, calls };
+}
+
+function client(fetch, options = {}) {
+  const retries = [];
+  const tokens = { issued: 0, invalidated: 0 };
+  const upstreamFetch = createUpstreamFetch({
+    fetch,
+    getAccessToken: async () => `token-${tokens.issued++}`,
+    invalidateAccessToken: () => { tokens.invalidated++; },
+    breaker: createCircuitBreaker({ threshold: 100, cooldownMs: 1000 }),
+    retryBaseMs: 1,
+    retryCapMs: 5,
+    onRetry: (reason, fields) => retries.push({ reason, ...fields }),
+    ...options
+  });
+  return { upstreamFetch, retries, tokens };
+}
+
+test("an ok response comes straight back with the bearer token and request id", async () => {
+  const { fetch, calls } = stubFetch([200]);
+  const { upstreamFetch, retries } = client(fetch, { requestId: () => "req-1" });
+  const res = await upstreamFetch(URL_, { headers: { Accept: "application/json" } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(calls[0].headers, { Accept: "application/json", Authorization: "Bearer token-0", "x-ms-client-request-id": "req-1" });
+  assert.deepEqual(retries, []);
+});
+
+test("idempotent calls retry 5xx and network errors, then succeed", async () => {
+  const { fetch, calls } = stubFetch([502, new TypeError("fetch failed"), 200]);
+  const { upstreamFetch, retries } = client(fetch);
+  const res = await upstreamFetch(URL_);
+  assert.equal(res.status, 200);
+  assert.equal(calls.length, 3);
+  assert.deepEqual(retries.map(r => [r.reason, r.retry]), [["502", "1/2"], ["network", "2/2"]]);
+  assert.equal(retries[0].call, "GET /api/projects/p/threads/t1/messages");
+});
+
+test("retries stop after the configured number and hand back the last response", async () => {
+  const { fetch, calls } = stubFetch([503]);
+  const { upstreamFetch } = client(fetch, { retries: 3 });
+  assert.equal((await upstreamFetch(URL_)).status, 503);
+  assert.equal(calls.length, 4);
+});
+
+test("non-idempotent calls only retry a 429", async () => {
+  const failing = stubFetch([500, 200]);
+  assert.equal((await client(failing.fetch).upstreamFetch(URL_, { method: "POST", body: "{}" })).status, 500);
+  assert.equal(failing.calls.length, 1);
+
+  const throttled = stubFetch([[429, { "retry-after-ms": "1" }], 200]);
+  assert.equal((await client(throttled.fetch).upstreamFetch(URL_, { method: "POST", body: "{}" })).status, 200);
+  assert.equal(throttled.calls.length, 2);
+
+  const other = stubFetch([400, 200]);
+  assert.equal((await client(other.fetch).upstreamFetch(URL_)).status, 400, "4xx other than 408/429 isn't retried");
+  assert.equal(other.calls.length, 1);
+});
+
+test("backoff is full jitter over an exponential, capped", () => {
+  const at = (attempt, random) => retryDelay(attempt, null, { baseMs: 400, capMs: 8_000, random: () => random });
+  assert.deepEqual([0, 1, 2, 3].map(a => at(a, 1)), [400, 800, 1600, 3200]);
+  assert.equal(at(10, 1), 8_000);
+  assert.equal(at(3, 0), 0);
+  assert.equal(at(3, 0.5), 1600);
+  for (let i = 0; i < 50; i++) {
+    const d = retryDelay(2, null);
+    assert.ok(d >= 0 && d < 1600, String(d));
+  }
+});
+
+test("Retry-After (ms, seconds or a date) wins over backoff", () => {
+  const res = (headers) => new Response(null, { status: 429, headers });
+  assert.equal(retryDelay(0, res({ "retry-after-ms": "250", "retry-after": "9" })), 250);
+  assert.equal(retryDelay(0, res({ "retry-after": "3" })), 3000);
+  const date = retryDelay(0, res({ "retry-after": new Date(Date.now() + 5000).toUTCString() }));
+  assert.ok(date > 3000 && date <= 5000, String(date));
+  assert.equal(retryDelay(0, res({ "retry-after": new Date(Date.now() - 5000).toUTCString() })), 0);
+  const fallback = retryDelay(0, res({ "retry-after": "soon" }), { random: () => 0.5 });
+  assert.equal(fallback, 200);
+});
+
+test("the client waits as long as Retry-After says, and gives up when that's too long", async () => {
+  const { fetch, calls } = stubFetch([[503, { "retry-after-ms": "60" }], 200]);
+  const { upstreamFetch, retries } = client(fetch);
+  const started = Date.now();
+  assert.equal((await upstreamFetch(URL_)).status, 200);
+  assert.ok(Date.now() - started >= 55);
+  assert.equal(retries[0].delayMs, 60);
+  assert.equal(calls.length, 2);
+
+  const slow = stubFetch([[429, { "retry-after": "120" }], 200]);
+  const res = await client(slow.fetch, { retryWaitMaxMs: 20_000 }).upstreamFetch(URL_);
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get("retry-after"), "120");
+  assert.equal(slow.calls.length, 1);
+});
+
+test("a 401 refreshes the token once and repeats the call without using a retry", async () => {
+  const { fetch, calls } = stubFetch([401, 200]);
+  const { upstreamFetch, retries, tokens } = client(fetch, { retries: 0 });
+  assert.equal((await upstreamFetch(URL_, { method: "POST", body: "{}" })).status, 200);
+  assert.equal(tokens.invalidated, 1);
+  assert.deepEqual(calls.map(c => c.headers.Authorization), ["Bearer token-0", "Bearer token-1"]);
+  assert.deepEqual(retries.map(r => r.reason), ["401"]);
+
+  const again = stubFetch([401]);
+  const second = client(again.fetch, { retries: 0 });
+  assert.equal((await second.upstreamFetch(URL_)).status, 401, "a second 401 goes back to the caller");
+  assert.equal(again.calls.length, 2);
+  assert.equal(second.tokens.invalidated, 1);
+});
+
+test("a call that takes too long times out, is retried, and finally throws", async (t) => {
+  // The timeout timer is unref'd; in the server the listening socket keeps the process up
+  const keepAlive = setInterval(() => {}, 1000);
+  t.after(() => clearInterval(keepAlive));
+  const hang = (_url, { signal }) => new Promise((_resolve, reject) => signal.addEventListener("abort", () => reject(signal.reason)));
+  const { fetch, calls } = stubFetch([hang]);
+  const { upstreamFetch, retries } = client(fetch, { retries: 1 });
+  await assert.rejects(upstreamFetch(URL_, { timeoutMs: 20 }), { message: "Upstream timed out after 20 ms" });
+  assert.equal(calls.length, 2);
+  assert.deepEqual(retries.map(r => r.reason), ["timeout"]);
+});
+
+test("the caller aborting stops retries without counting against the service", async () => {
+  const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 1000 });
+  const { fetch, calls } = stubFetch([[503, { "retry-after-ms": "1000" }]]);
+  const { upstreamFetch } = client(fetch, { breaker });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new Error("client went away")), 20);
+  await assert.rejects(upstreamFetch(URL_, { signal: controller.signal }), { message: "client went away" });
+  assert.equal(calls.length, 1);
+  assert.equal(breaker.snapshot().state, "closed");
+});
+
+test("the breaker opens after consecutive failures and then fails fast", async () => {
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 5_000 });
+  const { fetch, calls } = stubFetch([500]);
+  const { upstreamFetch } = client(fetch, { breaker, retries: 0 });
+
+  await upstreamFetch(URL_);
+  assert.deepEqual(breaker.snapshot(), { state: "closed", failures: 1 });
+  await upstreamFetch(URL_);
+  assert.equal(breaker.snapshot().state, "open");
+
+  const res = await upstreamFetch(URL_);
+  assert.equal(res.status, 503);
+  assert.equal(res.headers.get("retry-after"), "5");
+  assert.deepEqual(await res.json(), { error: { message: "Upstream circuit open", type: "circuit_open" } });
+  assert.equal(calls.length, 2, "no call reaches the service while open");
+});
+
+test("after the cooldown one trial call goes through: success closes the breaker, failure reopens it", async () => {
+  const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 30 });
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  const { fetch, calls } = stubFetch([500, 500, async () => { await gate; return reply(200); }]);
+  const { upstreamFetch } = client(fetch, { breaker, retries: 0 });
+
+  await upstreamFetch(URL_);
+  assert.equal(breaker.snapshot().state, "open");
+  await sleep(40);
+  assert.equal(breaker.snapshot().state, "half-open");
+
+  // A failed trial reopens it for another cooldown
+  assert.equal((await upstreamFetch(URL_)).status, 500);
+  assert.equal(breaker.snapshot().state, "open");
+  assert.equal((await upstreamFetch(URL_)).status, 503);
+  await sleep(40);
+
+  // Only one trial at a time; the rest still fail fast
+  const trial = upstreamFetch(URL_);
+  await sleep(5);
+  assert.equal(breaker.snapshot().state, "half-open");
+  assert.equal((await upstreamFetch(URL_)).status, 503);
+  release();
+  assert.equal((await trial).status, 200);
+  assert.deepEqual(breaker.snapshot(), { state: "closed", failures: 0 });
+  assert.equal(calls.length, 3);
+});
+
+test("throttling doesn't count against the service", async () => {
+  const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 1000 });
+  const { fetch } = stubFetch([[429, { "retry-after": "60" }]]);
+  await client(fetch, { breaker }).upstreamFetch(URL_);
+  assert.equal(breaker.snapshot().state, "closed");
+});